@@ -1,5 +1,7 @@
 /**
- * Bootstraps the application by initializing the database.
+ * Bootstraps the application by initializing the database, applying pending data migrations
+ * (see `migrations`) and starting the webhook delivery worker and the snapshot schedule
+ * (see `utils/backup`).
  * Logs a success message if the database is initialized successfully,
  * otherwise logs an error and exits the process.
  *
@@ -9,14 +11,20 @@
  */
 
 const { initDB } = require('../utils/db');
+const { startDeliveryWorker } = require('../utils/webhookQueue');
+const { startBackupSchedule } = require('../utils/backup');
+const { runMigrations } = require('../migrations');
 const logger = require('../utils/logger');
 
 const bootstrap = async () => {
   try {
     await initDB();
     logger.info('Database initialized successfully');
+    runMigrations();
+    startDeliveryWorker();
+    startBackupSchedule();
   } catch (err) {
-    logger.error('Database initialization failed', { error: err.message });
+    logger.error('Startup failed', { error: err.message });
     process.exit(1);
   }
 };
@@ -10,47 +10,148 @@
  * @property {number|string} env.port - The port on which the server will run (default: 3000).
  * @property {string[]} env.allowedOrigins - List of allowed CORS origins.
  * @property {string} env.jwtSecret - Secret key for JWT authentication.
- * @property {string} env.jwtExpiration - JWT expiration time (default: '1h').
+ * @property {string} env.jwtExpiration - Access token (JWT) expiration time (default: '15m').
+ * @property {number} env.refreshTokenExpirationDays - Refresh token and session lifetime in days (default: 30).
  * @property {string} env.route - Base route for the application (default: '/').
+ * @property {number} env.webhookMaxAttempts - Delivery attempts before a webhook delivery is dead-lettered (default: 5).
+ * @property {number} env.webhookRetryBaseMs - Base delay for exponential webhook retry backoff (default: 30000).
+ * @property {number} env.webhookWorkerIntervalMs - How often pending webhook deliveries are retried (default: 15000).
+ * @property {number} env.webhookDeliveryRetentionDays - Days to keep delivered webhook deliveries (default: 7).
+ * @property {number} env.webhookTimeoutMs - How long a webhook receiver may take to answer before the attempt fails (default: 10000).
+ * @property {string} env.evidenceDir - Directory where uploaded evidence files are stored (default: 'uploads/evidence').
+ * @property {number} env.evidenceMaxBytes - Maximum size of an uploaded evidence file in bytes (default: 5 MB).
+ * @property {number} env.statsCacheSeconds - How long `GET /stats` results are cached (default: 60).
+ * @property {string} env.siteUrl - Public website linked from the feeds (default: 'https://msga.decaded.dev').
+ * @property {string} env.publicUrl - Public origin of this server, used for the feeds' self links (default: 'http://localhost:<port>').
+ * @property {number} env.sseHeartbeatMs - Interval between heartbeats on the event stream (default: 25000).
+ * @property {number} env.sseBufferSize - Number of recent events kept for resuming the event stream (default: 500).
+ * @property {number} env.sseMaxClients - Maximum number of open event stream connections (default: 500).
+ * @property {number} env.submissionLimitWindowMs - Window of the anonymous submission limiter (default: 900000, 15 minutes).
+ * @property {number} env.submissionLimitMax - Anonymous submissions allowed per IP address per window (default: 5).
+ * @property {number} env.powDifficulty - Leading zero bits required by proof-of-work challenges; 0 disables them (default: 0).
+ * @property {number} env.powChallengeTtlSeconds - How long a proof-of-work challenge stays valid (default: 300).
+ * @property {number} env.trashRetentionDays - Days a deleted report stays in the trash before it may be purged (default: 30).
+ * @property {string} env.backupDir - Directory database snapshots are written to (default: 'backups').
+ * @property {number} env.backupIntervalHours - Hours between scheduled snapshots; 0 disables them (default: 24).
+ * @property {number} env.backupRetentionCount - Number of snapshots kept; older ones are removed (default: 14).
+ * @property {'nyadb'|'sqlite'} env.storageAdapter - Storage backend used by `utils/db` (default: 'nyadb').
+ * @property {string} env.sqlitePath - Database file of the 'sqlite' storage adapter (default: 'data/msga.sqlite').
  *
  * @property {Object} errorMessages - Standardized error messages used throughout the application.
  * @property {string} errorMessages.noToken - Error message for missing authentication token.
  * @property {string} errorMessages.invalidToken - Error message for invalid or expired token.
  * @property {string} errorMessages.invalidTokenFormat - Error message for malformed authorization header.
  * @property {string} errorMessages.tokenRevoked - Error message for revoked token.
+ * @property {string} errorMessages.refreshTokenRequired - Error message for missing refresh token.
+ * @property {string} errorMessages.invalidRefreshToken - Error message for invalid, expired or revoked refresh token.
+ * @property {string} errorMessages.refreshTokenReused - Error message for a replayed refresh token.
+ * @property {string} errorMessages.sessionNotFound - Error message for non-existent or inactive session.
  * @property {string} errorMessages.accountNotApproved - Error message for unapproved accounts.
  * @property {string} errorMessages.wrongPassword - Error message for incorrect password.
  * @property {string} errorMessages.userNotFound - Error message for non-existent user.
  * @property {string} errorMessages.missingFields - Error message for missing required fields.
  * @property {string} errorMessages.userExists - Error message for duplicate user or profile.
+ * @property {string} errorMessages.notReportOwner - Error message for editing someone else's report without permission.
+ * @property {string} errorMessages.invalidRole - Error message for unknown role.
+ * @property {string} errorMessages.cannotChangeOwnRole - Error message for an admin changing their own role.
  * @property {string} errorMessages.onlyAdminsCanAccess - Error message for unauthorized resource access.
  * @property {string} errorMessages.onlyAdminsCanUpdateUsers - Error message for unauthorized user update.
  * @property {string} errorMessages.onlyAdminsCanDelete - Error message for unauthorized deletion.
  * @property {string} errorMessages.cannotDeleteOtherAdmins - Error message for attempting to delete other admins.
  * @property {string} errorMessages.adminCannotDeleteSelf - Error message for admin self-deletion attempt.
+ * @property {string} errorMessages.deletionRequestExists - Error message for a duplicate pending deletion request.
+ * @property {string} errorMessages.missingReason - Error message for a deletion request without a reason.
+ * @property {string} errorMessages.invalidDeletionAction - Error message for an unknown deletion request action.
+ * @property {string} errorMessages.deletionRequestNotFound - Error message for non-existent deletion request.
+ * @property {string} errorMessages.deletionRequestNotPending - Error message for acting on an already resolved deletion request.
  * @property {string} errorMessages.approvalRequired - Error message for missing approval status.
  * @property {string} errorMessages.unauthorizedFieldUpdate - Error message for unauthorized field modification.
- * @property {string} errorMessages.workUrlRequired - Error message for missing work URL.
- * @property {string} errorMessages.profileUrlRequired - Error message for missing profile URL.
+ * @property {string} errorMessages.validationFailed - Error message for a request body that does not match its schema.
  * @property {string} errorMessages.invalidSHProfile - Error message for invalid SH profile URL format.
  * @property {string} errorMessages.invalidSHProfileUrl - Error message for invalid ScribbleHub profile URL format.
  * @property {string} errorMessages.invalidSHWorkUrl - Error message for invalid ScribbleHub work URL format.
+ * @property {string} errorMessages.invalidSHChapterUrl - Error message for invalid ScribbleHub chapter URL format.
  * @property {string} errorMessages.workExists - Error message for duplicate work report.
  * @property {string} errorMessages.profileExists - Error message for duplicate profile report.
+ * @property {string} errorMessages.chapterExists - Error message for duplicate chapter report.
  * @property {string} errorMessages.workNotFound - Error message for non-existent work.
  * @property {string} errorMessages.profileNotFound - Error message for non-existent profile.
+ * @property {string} errorMessages.chapterNotFound - Error message for non-existent chapter.
  * @property {string} errorMessages.invalidStatus - Error message for invalid status value.
+ * @property {string} errorMessages.invalidStatusTransition - Error message for a status change not allowed by the workflow.
+ * @property {string} errorMessages.statusReasonRequired - Error message for a status change that requires a reason.
+ * @property {string} errorMessages.revisionMismatch - Error message for an `If-Match` header that does not match the report's current revision.
+ * @property {string} errorMessages.invalidListQuery - Error message for invalid filtering, sorting or pagination parameters.
+ * @property {string} errorMessages.commentRequired - Error message for an empty comment.
+ * @property {string} errorMessages.commentTooLong - Error message for a comment over the length limit.
+ * @property {string} errorMessages.invalidCommentVisibility - Error message for unknown comment visibility.
+ * @property {string} errorMessages.cannotViewComments - Error message for accessing a discussion the user is not part of.
+ * @property {string} errorMessages.cannotEditComment - Error message for editing or deleting someone else's comment.
+ * @property {string} errorMessages.commentNotFound - Error message for non-existent comment.
+ * @property {string} errorMessages.invalidReportType - Error message for an unknown report collection.
+ * @property {string} errorMessages.evidenceRequired - Error message for an upload without file data.
+ * @property {string} errorMessages.evidenceTooLarge - Error message for an upload over the size limit.
+ * @property {string} errorMessages.invalidEvidenceName - Error message for a `name` query parameter that is not a single string.
+ * @property {string} errorMessages.invalidEvidenceType - Error message for an unsupported or mislabeled file type.
+ * @property {string} errorMessages.evidenceNotFound - Error message for non-existent evidence file.
+ * @property {string} errorMessages.invalidExportFormat - Error message for an unknown export format.
+ * @property {string} errorMessages.invalidImportBody - Error message for an import body that cannot be read.
+ * @property {string} errorMessages.importTooLarge - Error message for an import over the size or row limit.
+ * @property {string} errorMessages.invalidStatsQuery - Error message for invalid statistics parameters.
+ * @property {string} errorMessages.feedNotFound - Error message for an unknown feed format.
+ * @property {string} errorMessages.tooManyStreamClients - Error message when the event stream connection limit is reached.
+ * @property {string} errorMessages.tooManySubmissions - Error message when the anonymous submission limit is reached.
+ * @property {string} errorMessages.submissionBlocked - Error message for submissions from a blocked address.
+ * @property {string} errorMessages.proofOfWorkRequired - Error message for anonymous submissions without a solved challenge.
+ * @property {string} errorMessages.invalidProofOfWork - Error message for an invalid, expired or reused challenge solution.
+ * @property {string} errorMessages.invalidCidr - Error message for an invalid IP address or CIDR range.
+ * @property {string} errorMessages.invalidBlockAction - Error message for an unknown blocklist action.
+ * @property {string} errorMessages.blocklistEntryExists - Error message for a range that is already blocked.
+ * @property {string} errorMessages.blocklistEntryNotFound - Error message for an unknown blocklist entry.
+ * @property {string} errorMessages.shadowedReportNotFound - Error message for an unknown shadow-queued submission.
+ * @property {string} errorMessages.reportNotInTrash - Error message for restoring a report that is not deleted.
+ * @property {string} errorMessages.snapshotNotFound - Error message for an unknown database snapshot.
+ * @property {string} errorMessages.invalidSnapshot - Error message for a snapshot that fails shape validation.
  * @property {string} errorMessages.webhookExists - Error message for duplicate webhook.
  * @property {string} errorMessages.invalidWebhookURL - Error message for invalid Discord webhook URL.
+ * @property {string} errorMessages.invalidGenericWebhookURL - Error message for invalid generic webhook URL.
+ * @property {string} errorMessages.webhookHasNoSecret - Error message for rotating the secret of a non-generic webhook.
+ * @property {string} errorMessages.invalidWebhookSubscription - Error message for an invalid webhook event or status filter.
  * @property {string} errorMessages.webhookNotFound - Error message for non-existent webhook.
+ * @property {string} errorMessages.deliveryNotFound - Error message for non-existent webhook delivery.
+ * @property {string} errorMessages.invalidDeliveryStatus - Error message for invalid webhook delivery status filter.
  * @property {string} errorMessages.corsError - Error message for CORS violations.
  *
  * @property {string} errorMessages.versionNotFound - Error message for missing version data in the database.
  *
  * @property {Object} regexPatterns - Regular expression patterns for validation.
- * @property {RegExp} regexPatterns.shProfileURLPattern - Pattern for validating ScribbleHub profile URLs.
- * @property {RegExp} regexPatterns.shWorkURLPattern - Pattern for validating ScribbleHub work URLs.
+ * @property {RegExp} regexPatterns.shProfileURLPattern - Pattern for validating ScribbleHub profile URLs. Captures the profile ID.
+ * @property {RegExp} regexPatterns.shWorkURLPattern - Pattern for validating ScribbleHub work URLs. Captures the series ID.
+ * @property {RegExp} regexPatterns.shChapterURLPattern - Pattern for validating ScribbleHub chapter URLs. Captures the series and chapter IDs.
  * @property {RegExp} regexPatterns.discordWebhookPattern - Pattern for validating Discord webhook URLs.
+ * @property {RegExp} regexPatterns.genericWebhookPattern - Pattern for validating generic (HTTPS) webhook URLs.
+ *
+ * @property {string[]} roles - Available user roles, from least to most privileged.
+ * @property {Object<string, string[]>} permissions - Roles allowed to perform each action.
+ *   Consulted by `middleware/requirePermission`. Actions not listed here are denied to everyone.
+ *
+ * The report tables below are keyed by report type ('works', 'profiles', 'chapters') and built
+ * from the definitions in `config/reportTypes`.
+ *
+ * @property {Object<string, string[]>} reportStatuses - Valid statuses for each report collection.
+ *
+ * @property {Object} statusWorkflows - Allowed status transitions for each report collection.
+ * @property {Object<string, string[]>} statusWorkflows.<type>.transitions - For each status, the statuses it may move to.
+ * @property {string[]} statusWorkflows.<type>.reasonRequired - Statuses that can only be entered with a reason.
+ *
+ * @property {Object<string, string[]>} feedStatuses - Statuses that put an approved report in the public feeds.
+ *
+ * @property {Object<string, string>} evidenceTypes - Accepted evidence MIME types and the file extension they are stored with.
+ *
+ * @property {string[]} webhookTypes - Webhook types: 'discord' (embeds) or 'generic' (signed JSON).
+ * @property {string[]} webhookEvents - Event types webhooks can subscribe to: the created, updated, deleted and
+ *   restored events of every report type, plus 'reports_imported' and 'comment_added'.
+ * @property {string[]} optInWebhookEvents - Events only sent to webhooks that list them explicitly in `events`.
  *
  * @property {Object} STATUS_COLORS - Color codes for different status types used in Discord embeds.
  * @property {number} STATUS_COLORS.pending_review - Color for pending review status (yellow).
@@ -74,8 +175,16 @@ const {
   button_text
 } = require('./client.json');
 
+const reportTypes = require('./reportTypes');
+
 require('dotenv').config();
 
+// Builds an object keyed by report type from each definition in `config/reportTypes`
+const mapReportTypes = pick =>
+  Object.fromEntries(
+    Object.entries(reportTypes).map(([name, type]) => [name, pick(type)])
+  );
+
 module.exports = {
   env: {
     port: process.env.PORT || 3000,
@@ -83,8 +192,39 @@ module.exports = {
       'http://localhost:3001'
     ],
     jwtSecret: process.env.JWT_SECRET,
-    jwtExpiration: process.env.JWT_EXPIRATION || '1h',
-    route: process.env.ROUTE || '/'
+    jwtExpiration: process.env.JWT_EXPIRATION || '15m',
+    refreshTokenExpirationDays:
+      Number(process.env.REFRESH_TOKEN_EXPIRATION_DAYS) || 30,
+    route: process.env.ROUTE || '/',
+    webhookMaxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+    webhookRetryBaseMs: Number(process.env.WEBHOOK_RETRY_BASE_MS) || 30000,
+    webhookWorkerIntervalMs:
+      Number(process.env.WEBHOOK_WORKER_INTERVAL_MS) || 15000,
+    webhookDeliveryRetentionDays:
+      Number(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS) || 7,
+    webhookTimeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+    evidenceDir: process.env.EVIDENCE_DIR || 'uploads/evidence',
+    evidenceMaxBytes: Number(process.env.EVIDENCE_MAX_BYTES) || 5 * 1024 * 1024,
+    statsCacheSeconds: Number(process.env.STATS_CACHE_SECONDS) || 60,
+    siteUrl: process.env.SITE_URL || 'https://msga.decaded.dev',
+    publicUrl: (
+      process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`
+    ).replace(/\/+$/, ''),
+    sseHeartbeatMs: Number(process.env.SSE_HEARTBEAT_MS) || 25000,
+    sseBufferSize: Number(process.env.SSE_BUFFER_SIZE) || 500,
+    sseMaxClients: Number(process.env.SSE_MAX_CLIENTS) || 500,
+    submissionLimitWindowMs:
+      Number(process.env.SUBMISSION_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+    submissionLimitMax: Number(process.env.SUBMISSION_LIMIT_MAX) || 5,
+    powDifficulty: Number(process.env.POW_DIFFICULTY) || 0,
+    powChallengeTtlSeconds:
+      Number(process.env.POW_CHALLENGE_TTL_SECONDS) || 300,
+    trashRetentionDays: Number(process.env.TRASH_RETENTION_DAYS) || 30,
+    backupDir: process.env.BACKUP_DIR || 'backups',
+    backupIntervalHours: Number(process.env.BACKUP_INTERVAL_HOURS ?? 24),
+    backupRetentionCount: Number(process.env.BACKUP_RETENTION_COUNT) || 14,
+    storageAdapter: process.env.STORAGE_ADAPTER || 'nyadb',
+    sqlitePath: process.env.SQLITE_PATH || 'data/msga.sqlite'
   },
 
   errorMessages: {
@@ -93,6 +233,12 @@ module.exports = {
     invalidToken: 'Invalid or expired token. Please log in again.',
     invalidTokenFormat: 'Malformed authorization header. Please log in again.',
     tokenRevoked: 'Token has been revoked. Please log in again.',
+    refreshTokenRequired: 'Refresh token is required.',
+    invalidRefreshToken:
+      'Invalid or expired refresh token. Please log in again.',
+    refreshTokenReused:
+      'Refresh token has already been used. The session has been revoked for your safety.',
+    sessionNotFound: 'Session not found.',
     accountNotApproved: 'Account pending approval.',
     wrongPassword: 'Wrong password. Please try again.',
     userNotFound: 'User not found. Please check your username.',
@@ -107,31 +253,98 @@ module.exports = {
     adminCannotDeleteSelf: 'Admins cannot delete themselves.',
     approvalRequired: 'Approval status must be provided.',
     unauthorizedFieldUpdate: 'You are not authorized to modify this field.',
+    validationFailed: 'Request validation failed.',
+    notReportOwner: 'You can only edit reports you submitted.',
+    invalidRole: 'Invalid role. Must be one of: user, moderator, admin',
+    cannotChangeOwnRole: 'You cannot change your own role.',
     deletionRequestExists: 'You already have a pending deletion request',
     missingReason: 'Reason is required for deletion request',
     invalidDeletionAction:
       'Invalid deletion action. Must be "approve" or "reject"',
     deletionRequestNotFound: 'Deletion request not found',
+    deletionRequestNotPending: 'Deletion request is no longer pending',
 
     // Content Management (Works/Profiles)
-    workUrlRequired: 'Work URL is required.',
-    profileUrlRequired: 'Profile URL is required.',
     invalidSHProfile: 'Invalid SH profile URL format.',
     invalidSHProfileUrl: 'Invalid ScribbleHub profile URL format.',
     invalidSHWorkUrl: 'Invalid ScribbleHub URL format.',
+    invalidSHChapterUrl: 'Invalid ScribbleHub chapter URL format.',
     workExists: 'This work has already been reported.',
     profileExists: 'This profile has already been reported.',
+    chapterExists: 'This chapter has already been reported.',
     workNotFound: 'Work not found. Please check the ID and try again.',
     profileNotFound: 'Profile not found. Please check the ID and try again.',
+    chapterNotFound: 'Chapter not found. Please check the ID and try again.',
     invalidStatus:
       'Invalid status. Must be one of: pending_review, in_progress, confirmed, taken_down, original',
     noChangesDetected: 'No changes detected. Please modify at least one field.',
     noStatusChange: 'You cannot change the status to the same value.',
+    invalidStatusTransition: 'This status change is not allowed.',
+    statusReasonRequired: 'A reason is required for this status change.',
+    revisionMismatch:
+      'This report was changed by someone else. Reload it and try again.',
+    invalidListQuery: 'Invalid filter, sort or pagination parameters.',
+
+    // Comments
+    commentRequired: 'Comment text is required.',
+    commentTooLong: 'Comment is too long. The limit is 2000 characters.',
+    invalidCommentVisibility:
+      'Invalid comment visibility. Must be "internal" or "public"',
+    cannotViewComments:
+      'You do not have permission to take part in this discussion.',
+    cannotEditComment: 'You can only change your own comments.',
+    commentNotFound: 'Comment not found. Please check the ID and try again.',
+
+    // Evidence
+    invalidReportType: 'Invalid report type.',
+    evidenceRequired: 'No file provided. Send the file as the request body.',
+    evidenceTooLarge: 'File is too large.',
+    invalidEvidenceName: 'Give the file name once, as ?name=<file name>.',
+    invalidEvidenceType:
+      'Unsupported file type. Allowed: PNG, JPEG, GIF, WebP images and plain text.',
+    evidenceNotFound: 'Evidence not found. Please check the ID and try again.',
+
+    // Bulk import & export
+    invalidExportFormat: 'Invalid export format. Must be "json" or "csv"',
+    invalidImportBody:
+      'Invalid import. Send a JSON array of rows or CSV text with a header row.',
+    importTooLarge: 'Import is too large. Split it into smaller files.',
+
+    // Statistics
+    invalidStatsQuery: 'Invalid statistics parameters.',
+
+    // Feeds
+    feedNotFound: 'Feed not found. Use /feeds/atom or /feeds/rss',
+
+    // Event stream
+    tooManyStreamClients:
+      'Too many open event stream connections. Try again later',
+
+    // Anti-spam
+    tooManySubmissions:
+      'Too many reports submitted, please try again later or log in.',
+    submissionBlocked: 'Submissions from your network are blocked.',
+    proofOfWorkRequired: 'A solved proof-of-work challenge is required',
+    invalidProofOfWork: 'Invalid proof-of-work solution',
+    invalidCidr: 'Invalid IP address or CIDR range',
+    invalidBlockAction: 'Invalid blocklist action',
+    blocklistEntryExists: 'This address range is already blocked',
+    blocklistEntryNotFound: 'Blocklist entry not found',
+    shadowedReportNotFound: 'Shadow-queued report not found',
+    reportNotInTrash: 'Report not found in the trash',
+    snapshotNotFound: 'Snapshot not found',
+    invalidSnapshot: 'Snapshot cannot be restored',
 
     // Webhooks
     webhookExists: 'Webhook with this URL already exists',
     invalidWebhookURL: 'Invalid Discord webhook URL format',
+    invalidGenericWebhookURL: 'Generic webhook URL must be a valid HTTPS URL',
+    webhookHasNoSecret: 'Only generic webhooks have a signing secret',
+    invalidWebhookSubscription: 'Invalid webhook event or status filter',
     webhookNotFound: 'Webhook not found',
+    deliveryNotFound: 'Webhook delivery not found',
+    invalidDeliveryStatus:
+      'Invalid delivery status. Must be one of: pending, delivered, dead',
 
     // System & Validation
     corsError: 'Not allowed by CORS.',
@@ -146,18 +359,102 @@ module.exports = {
 
   confirmationMessages: {
     passwordUpdated: 'Password updated successfully.',
+    sessionRevoked: 'Session revoked.',
+    allSessionsRevoked: 'All sessions revoked.',
     deletionRequestSubmitted:
-      'Deletion request submitted. An admin will review it shortly.'
+      'Deletion request submitted. An admin will review it shortly.',
+    deletionRequestCancelled: 'Deletion request cancelled.'
   },
 
   regexPatterns: {
-    shProfileURLPattern:
-      /^https:\/\/www\.scribblehub\.com\/profile\/\d+\/[a-zA-Z0-9-_]+\/?$/,
-    shWorkURLPattern: /^https:\/\/www\.scribblehub\.com\/series\/\d+/,
+    shProfileURLPattern: reportTypes.profiles.urlPattern,
+    shWorkURLPattern: reportTypes.works.urlPattern,
+    shChapterURLPattern: reportTypes.chapters.urlPattern,
     discordWebhookPattern:
-      /^https:\/\/discord\.com\/api\/webhooks\/\d+\/[\w-]+$/i
+      /^https:\/\/discord\.com\/api\/webhooks\/\d+\/[\w-]+$/i,
+    genericWebhookPattern: /^https:\/\/[^\s/?#]+\.[^\s/?#]+(?:[/?#]\S*)?$/i
+  },
+
+  roles: ['user', 'moderator', 'admin'],
+
+  permissions: {
+    // Reports (all report types). Any role may submit and edit its own reports.
+    'report.approve': ['moderator', 'admin'],
+    'report.status': ['moderator', 'admin'],
+    'report.edit': ['moderator', 'admin'], // edit reports submitted by others
+    'report.editProtected': ['admin'], // 'approved' and 'status' through PUT /:id
+    'report.history': ['moderator', 'admin'],
+    'report.delete': ['admin'], // moves reports to the trash
+    'report.trash': ['admin'], // list, restore and purge deleted reports
+    'report.export': ['admin'],
+    'report.import': ['admin'],
+
+    // Comments. Reporters can always read and post public comments on their own reports.
+    'comment.internal': ['moderator', 'admin'], // read and write staff-only notes on any report
+    'comment.moderate': ['moderator', 'admin'], // delete comments written by others
+
+    // Users
+    'user.list': ['admin'],
+    'user.approve': ['admin'],
+    'user.role': ['admin'],
+    'user.delete': ['admin'],
+    'user.sessions': ['admin'],
+    'user.deletionRequests': ['admin'],
+
+    // Evidence. Reporters can upload to their own reports, 'report.edit' to any.
+    // Evidence of approved reports is public; reporters can always see their own.
+    'evidence.view': ['moderator', 'admin'], // evidence of unapproved reports
+    'evidence.delete': ['admin'],
+
+    // Statistics
+    'stats.view': ['moderator', 'admin'],
+
+    // Submission blocklist and shadow queue
+    'blocklist.manage': ['admin'],
+
+    // Event stream. Everyone else only receives events about approved reports.
+    'events.full': ['moderator', 'admin'],
+
+    // Webhooks
+    'webhook.manage': ['admin'],
+
+    // Database snapshots
+    'backup.manage': ['admin']
   },
 
+  reportStatuses: mapReportTypes(type => type.statuses),
+
+  statusWorkflows: mapReportTypes(type => ({
+    transitions: type.transitions,
+    reasonRequired: type.reasonRequired
+  })),
+
+  feedStatuses: mapReportTypes(type => type.feedStatuses),
+
+  evidenceTypes: {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'text/plain': 'txt'
+  },
+
+  webhookTypes: ['discord', 'generic'],
+
+  webhookEvents: [
+    ...Object.values(reportTypes).flatMap(type => [
+      type.events.created,
+      type.events.updated,
+      type.events.deleted,
+      type.events.restored
+    ]),
+    'reports_imported',
+    'comment_added'
+  ],
+
+  // Not sent to webhooks with `events: null`, to keep existing channels quiet
+  optInWebhookEvents: ['comment_added'],
+
   STATUS_COLORS: {
     pending_review: 0xffcc00, // Yellow
     in_progress: 0x3498db, // Blue
@@ -0,0 +1,158 @@
+/**
+ * Definitions of the things that can be reported. Each type gets its own collection and its own
+ * router at `/<name>` (see `routes/reports/reportRouter`), and its statuses, workflow, feed
+ * statuses and webhook events are merged into the matching tables in `config/index.js`.
+ *
+ * To add a type, add a definition here. Look types up through `utils/reportTypes`.
+ *
+ * @module config/reportTypes
+ */
+
+/**
+ * @typedef {Object} ReportTypeDefinition
+ * @property {string} label - Singular name used in messages and logs, e.g. 'Work'.
+ * @property {RegExp} urlPattern - Pattern a normalized ScribbleHub URL must match (see `utils/shUrl`).
+ * @property {string} urlExample - Shown when a URL does not match.
+ * @property {function(RegExpExecArray): string} canonicalKey - Builds the duplicate detection key from a `urlPattern` match.
+ * @property {string[]} statuses - Statuses a report can have. New anonymous reports start in 'pending_review',
+ *   authenticated and approved ones in 'in_progress'.
+ * @property {Object<string, string[]>} transitions - For each status, the statuses it may move to.
+ * @property {string[]} reasonRequired - Statuses that can only be entered with a reason.
+ * @property {string[]} feedStatuses - Statuses that put an approved report in the public feeds.
+ * @property {string} feedTitle - Title of the type's feed.
+ * @property {{ created: string, updated: string, deleted: string, restored: string }} events - Webhook event types.
+ * @property {{ notFound: string, exists: string, invalidUrl: string }} errors - Keys of `errorMessages` in config.
+ * @property {function(Object): Object[]} embedFields - Discord embed fields for a report event.
+ * @property {boolean} [autoApproveOnList] - Approve reports that left 'pending_review' unapproved whenever the
+ *   collection is listed. Kept for profiles, which relied on it before approval was tied to status changes.
+ */
+
+const formatStatus = status => status.toUpperCase().replace(/_/g, ' ');
+
+const statusFields = data => [
+  { name: 'Status', value: formatStatus(data.status), inline: true },
+  { name: 'Reporter', value: data.reporter, inline: true }
+];
+
+const updatedByField = data =>
+  data.updatedBy && data.updatedBy !== 'Anonymous'
+    ? [{ name: 'Updated by', value: data.updatedBy, inline: true }]
+    : [];
+
+// Works and chapters share the plagiarism workflow
+const plagiarismStatuses = [
+  'pending_review',
+  'in_progress',
+  'confirmed',
+  'taken_down',
+  'original'
+];
+const plagiarismTransitions = {
+  pending_review: ['in_progress', 'original'],
+  in_progress: ['pending_review', 'confirmed', 'original'],
+  confirmed: ['in_progress', 'taken_down'],
+  taken_down: ['confirmed'],
+  original: ['in_progress']
+};
+
+/** @type {Object<string, ReportTypeDefinition>} */
+module.exports = {
+  works: {
+    label: 'Work',
+    urlPattern: /^https:\/\/www\.scribblehub\.com\/series\/(\d+)(?:[/?#]|$)/,
+    urlExample: 'https://www.scribblehub.com/series/###/title/',
+    canonicalKey: match => `series:${Number(match[1])}`,
+    statuses: plagiarismStatuses,
+    transitions: plagiarismTransitions,
+    reasonRequired: ['original'],
+    feedStatuses: ['taken_down', 'confirmed'],
+    feedTitle: 'MSGA - Works taken down or confirmed',
+    events: {
+      created: 'work_created',
+      updated: 'work_updated',
+      deleted: 'work_deleted',
+      restored: 'work_restored'
+    },
+    errors: {
+      notFound: 'workNotFound',
+      exists: 'workExists',
+      invalidUrl: 'invalidSHWorkUrl'
+    },
+    embedFields: data => [
+      { name: 'Title', value: data.title },
+      ...statusFields(data),
+      ...updatedByField(data),
+      { name: 'URL', value: `[View on ScribbleHub](${data.url})` }
+    ]
+  },
+
+  profiles: {
+    label: 'Profile',
+    urlPattern:
+      /^https:\/\/www\.scribblehub\.com\/profile\/(\d+)\/[a-zA-Z0-9-_]+\/?$/,
+    urlExample: 'https://www.scribblehub.com/profile/###/username/',
+    canonicalKey: match => `profile:${Number(match[1])}`,
+    statuses: [
+      'pending_review',
+      'in_progress',
+      'confirmed_violator',
+      'false_positive'
+    ],
+    transitions: {
+      pending_review: ['in_progress', 'false_positive'],
+      in_progress: ['pending_review', 'confirmed_violator', 'false_positive'],
+      confirmed_violator: ['in_progress'],
+      false_positive: ['in_progress']
+    },
+    reasonRequired: ['false_positive'],
+    feedStatuses: ['confirmed_violator'],
+    feedTitle: 'MSGA - Confirmed violators',
+    events: {
+      created: 'profile_reported',
+      updated: 'profile_updated',
+      deleted: 'profile_deleted',
+      restored: 'profile_restored'
+    },
+    errors: {
+      notFound: 'profileNotFound',
+      exists: 'profileExists',
+      invalidUrl: 'invalidSHProfileUrl'
+    },
+    embedFields: data => [
+      { name: 'Profile', value: data.title },
+      ...statusFields(data),
+      { name: 'URL', value: `[View Profile](${data.url})` }
+    ],
+    autoApproveOnList: true
+  },
+
+  chapters: {
+    label: 'Chapter',
+    urlPattern:
+      /^https:\/\/www\.scribblehub\.com\/read\/(\d+)-[^/]+\/chapter\/(\d+)(?:[/?#]|$)/,
+    urlExample: 'https://www.scribblehub.com/read/###-title/chapter/###/',
+    canonicalKey: match => `chapter:${Number(match[2])}`,
+    statuses: plagiarismStatuses,
+    transitions: plagiarismTransitions,
+    reasonRequired: ['original'],
+    feedStatuses: ['taken_down', 'confirmed'],
+    feedTitle: 'MSGA - Chapters taken down or confirmed',
+    events: {
+      created: 'chapter_created',
+      updated: 'chapter_updated',
+      deleted: 'chapter_deleted',
+      restored: 'chapter_restored'
+    },
+    errors: {
+      notFound: 'chapterNotFound',
+      exists: 'chapterExists',
+      invalidUrl: 'invalidSHChapterUrl'
+    },
+    embedFields: data => [
+      { name: 'Chapter', value: data.title },
+      ...statusFields(data),
+      ...updatedByField(data),
+      { name: 'URL', value: `[Read on ScribbleHub](${data.url})` }
+    ]
+  }
+};
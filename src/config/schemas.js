@@ -0,0 +1,101 @@
+/**
+ * Request body schemas, checked by `middleware/validateBody` before the route handler runs.
+ *
+ * Each schema maps the allowed body fields to a rule. Fields that are not listed are rejected.
+ * Rules support:
+ * - type        : 'string', 'boolean' or 'array'.
+ * - required    : The field must be present (and, for strings, not blank).
+ * - nullable    : `null` is accepted as well.
+ * - minLength, maxLength : Length limits for strings.
+ * - maxItems    : Length limit for arrays.
+ * - items       : Rule for each array item. Blank string items are dropped before checking.
+ * - enum        : Allowed values.
+ * - format      : 'url' for http(s) URLs.
+ * - permission  : Only users with this permission (see `permissions`) may send the field.
+ *
+ * Formats that need more context (ScribbleHub URLs, status transitions, webhook event names)
+ * are still checked by the route handlers.
+ *
+ * @module config/schemas
+ * @requires ./index
+ */
+
+const { webhookTypes } = require('./index');
+
+// bcrypt only uses the first 72 bytes of a password
+const passwordRule = { type: 'string', required: true, maxLength: 72 };
+
+const reportFields = {
+  title: { type: 'string', maxLength: 200 },
+  reason: { type: 'string', maxLength: 2000 },
+  proofs: {
+    type: 'array',
+    maxItems: 20,
+    items: { type: 'string', format: 'url', maxLength: 500 }
+  },
+  additionalInfo: { type: 'string', maxLength: 5000 }
+};
+
+module.exports = {
+  // POST /works, /profiles, /chapters (every report type)
+  reportCreate: {
+    ...reportFields,
+    url: { type: 'string', required: true, maxLength: 300 },
+    reporter: { type: 'string', maxLength: 100 }
+  },
+
+  // PUT /works/:id etc. (every report type)
+  reportUpdate: {
+    ...reportFields,
+    url: { type: 'string', maxLength: 300 },
+    reporter: { type: 'string', maxLength: 100, permission: 'report.edit' },
+    approved: { type: 'boolean', permission: 'report.editProtected' },
+    status: { type: 'string', permission: 'report.editProtected' },
+    statusReason: {
+      type: 'string',
+      maxLength: 1000,
+      permission: 'report.editProtected'
+    }
+  },
+
+  // PUT /works/:id/status etc. (every report type)
+  reportStatus: {
+    status: { type: 'string', required: true },
+    reason: { type: 'string', maxLength: 1000 }
+  },
+
+  // DELETE /works/:id etc. (every report type)
+  reportDelete: {
+    reason: { type: 'string', maxLength: 1000 }
+  },
+
+  // POST /register
+  register: {
+    username: { type: 'string', required: true, maxLength: 32 },
+    shProfileURL: { type: 'string', required: true, maxLength: 300 },
+    password: passwordRule
+  },
+
+  // PATCH /user/profile/password
+  passwordChange: {
+    oldPassword: passwordRule,
+    newPassword: passwordRule
+  },
+
+  // POST /webhooks
+  webhookCreate: {
+    url: { type: 'string', required: true, maxLength: 500 },
+    name: { type: 'string', maxLength: 100 },
+    type: { type: 'string', enum: webhookTypes },
+    events: { type: 'array', nullable: true, items: { type: 'string' } },
+    statuses: { type: 'array', nullable: true, items: { type: 'string' } }
+  },
+
+  // PATCH /webhooks/:id
+  webhookUpdate: {
+    url: { type: 'string', maxLength: 500 },
+    name: { type: 'string', maxLength: 100 },
+    events: { type: 'array', nullable: true, items: { type: 'string' } },
+    statuses: { type: 'array', nullable: true, items: { type: 'string' } }
+  }
+};
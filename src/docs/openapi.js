@@ -0,0 +1,1748 @@
+/**
+ * OpenAPI 3 description of the API, served by `routes/docs`.
+ *
+ * Paths are relative to `env.route`, which is the only entry of `servers`. Parts that are
+ * defined elsewhere are generated from their source so they cannot drift:
+ * - The bodies checked by `middleware/validateBody` come from `config/schemas`.
+ * - The report routes, statuses and webhook events come from `config/reportTypes` and config.
+ * - The roles behind each permission come from `permissions` in config.
+ *
+ * Everything else is described here, so a new or changed route needs its entry updated.
+ * `npm run check:openapi` (see `scripts/checkOpenApi`) fails when a route registered in
+ * `routes/index.js` is missing from `paths`, or a path here no longer exists.
+ *
+ * @module docs/openapi
+ * @requires ../config
+ * @requires ../config/schemas
+ * @requires ../utils/reportTypes
+ */
+
+/**
+ * Builds the OpenAPI document.
+ *
+ * @function
+ * @returns {Object} The OpenAPI 3.0 document.
+ */
+
+const {
+  env,
+  permissions,
+  roles,
+  evidenceTypes,
+  webhookTypes,
+  webhookEvents
+} = require('../config');
+const requestSchemas = require('../config/schemas');
+const { getReportTypes } = require('../utils/reportTypes');
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const responseRef = name => ({ $ref: `#/components/responses/${name}` });
+
+const json = (description, schema) => ({
+  description,
+  content: { 'application/json': { schema } }
+});
+
+const error = description => json(description, ref('Error'));
+
+const jsonBody = schema => ({
+  required: true,
+  content: { 'application/json': { schema } }
+});
+
+const pathParam = (name, description, schema = { type: 'string' }) => ({
+  name,
+  in: 'path',
+  required: true,
+  description,
+  schema
+});
+
+const queryParam = (name, description, schema = { type: 'string' }) => ({
+  name,
+  in: 'query',
+  description,
+  schema
+});
+
+const success = json('Success', {
+  type: 'object',
+  properties: { success: { type: 'boolean', enum: [true] } }
+});
+
+// Converts a rule set from `config/schemas` to a JSON schema
+const toJsonSchema = rules => {
+  const toProperty = rule => {
+    const property = { type: rule.type };
+    if (rule.nullable) property.nullable = true;
+    if (rule.minLength) property.minLength = rule.minLength;
+    if (rule.maxLength) property.maxLength = rule.maxLength;
+    if (rule.maxItems) property.maxItems = rule.maxItems;
+    if (rule.enum) property.enum = rule.enum;
+    if (rule.format === 'url') property.format = 'uri';
+    if (rule.items) property.items = toProperty(rule.items);
+    if (rule.permission) {
+      property.description = `Requires the '${rule.permission}' permission (${permissions[rule.permission].join(', ')}).`;
+      property['x-permission'] = rule.permission;
+    }
+    return property;
+  };
+
+  const required = Object.keys(rules).filter(field => rules[field].required);
+  return {
+    type: 'object',
+    additionalProperties: false,
+    ...(required.length && { required }),
+    properties: Object.fromEntries(
+      Object.entries(rules).map(([field, rule]) => [field, toProperty(rule)])
+    )
+  };
+};
+
+// Builds an operation. `auth` is 'required' (a bearer token, optionally with a `permission`),
+// 'optional' or 'none'; the matching security requirement and error responses are added.
+const operation = ({
+  tags,
+  summary,
+  description,
+  auth = 'none',
+  permission,
+  parameters,
+  requestBody,
+  responses
+}) => {
+  const notes = [description];
+  if (permission) {
+    notes.push(
+      `Requires the '${permission}' permission (${permissions[permission].join(', ')}).`
+    );
+  }
+
+  const op = {
+    tags,
+    summary,
+    ...(notes.some(Boolean) && {
+      description: notes.filter(Boolean).join('\n\n')
+    }),
+    ...(permission && { 'x-permission': permission }),
+    ...(parameters && { parameters }),
+    ...(requestBody && { requestBody }),
+    responses: { ...responses }
+  };
+
+  if (auth === 'required') {
+    op.security = [{ bearerAuth: [] }];
+    op.responses[401] = op.responses[401] || responseRef('NoToken');
+    op.responses[403] = op.responses[403] || responseRef('Forbidden');
+  } else if (auth === 'optional') {
+    op.security = [{}, { bearerAuth: [] }];
+  }
+  if (requestBody?.content?.['application/json']?.schema?.properties) {
+    op.responses[400] = op.responses[400] || responseRef('ValidationFailed');
+  }
+
+  return op;
+};
+
+const reportTypeParam = pathParam('reportType', 'A report type.', {
+  type: 'string',
+  enum: getReportTypes().map(type => type.name)
+});
+
+const listQueryParams = statuses => [
+  queryParam('status', 'Comma separated statuses.', {
+    type: 'string',
+    example: statuses.slice(0, 2).join(',')
+  }),
+  queryParam('approved', 'Only approved or unapproved reports.', {
+    type: 'boolean'
+  }),
+  queryParam('reporter', 'Reporter name.'),
+  queryParam('from', 'First `dateReported` (YYYY-MM-DD).', {
+    type: 'string',
+    format: 'date'
+  }),
+  queryParam('to', 'Last `dateReported` (YYYY-MM-DD).', {
+    type: 'string',
+    format: 'date'
+  }),
+  queryParam('sort', 'Field to sort by.', {
+    type: 'string',
+    enum: ['id', 'title', 'status', 'reporter', 'dateReported']
+  }),
+  queryParam('order', 'Sort order.', { type: 'string', enum: ['asc', 'desc'] }),
+  queryParam('page', '1-based page number.', { type: 'integer', minimum: 1 }),
+  queryParam('limit', 'Page size (default 50).', {
+    type: 'integer',
+    minimum: 1,
+    maximum: 200
+  })
+];
+
+const ifMatchHeader = {
+  name: 'If-Match',
+  in: 'header',
+  description:
+    "The report's `ETag`. If it no longer matches, the request fails with 412 instead of overwriting a concurrent change.",
+  schema: { type: 'string', example: '"3"' }
+};
+
+const ifNoneMatchHeader = {
+  name: 'If-None-Match',
+  in: 'header',
+  description:
+    'An `ETag` from an earlier response; answers 304 if nothing changed.',
+  schema: { type: 'string' }
+};
+
+const etagHeader = {
+  ETag: {
+    description: 'The report revision, e.g. `"3"`.',
+    schema: { type: 'string' }
+  }
+};
+
+const reportResponse = (description, schema) => ({
+  ...json(description, schema),
+  headers: etagHeader
+});
+
+// Every report type gets the same routes, see `routes/reports/reportRouter`
+const reportPaths = type => {
+  const base = `/${type.name}`;
+  const tags = [type.name];
+  const noun = type.label.toLowerCase();
+  const report = ref(type.label);
+  const idParam = pathParam('id', `${type.label} ID.`, { type: 'integer' });
+  const notFound = error(`${type.label} not found or deleted`);
+  const stale = json(
+    `The ${noun} was changed since the given \`If-Match\` revision`,
+    ref('RevisionMismatch')
+  );
+
+  return {
+    [base]: {
+      get: operation({
+        tags,
+        summary: `List ${type.name}`,
+        description:
+          'Without query parameters the whole collection is returned, keyed by ID. With any of them the result is filtered, sorted and paginated. Deleted reports are left out.' +
+          (type.autoApproveOnList
+            ? ` Listing also approves ${type.name} that left 'pending_review' unapproved.`
+            : ''),
+        parameters: [...listQueryParams(type.statuses), ifNoneMatchHeader],
+        responses: {
+          200: {
+            ...json(`The ${type.name}`, {
+              oneOf: [
+                { type: 'object', additionalProperties: report },
+                ref('ReportPage')
+              ]
+            }),
+            headers: {
+              ETag: {
+                description: 'Hash of the response.',
+                schema: { type: 'string' }
+              }
+            }
+          },
+          304: { description: 'Not modified since the `If-None-Match` ETag' },
+          400: error('Invalid list query')
+        }
+      }),
+      post: operation({
+        tags,
+        summary: `Report a ${noun}`,
+        description:
+          'Anonymous submissions start in `pending_review` and are rate limited; they may need a proof of work (see `GET /challenge`) and can be refused or shadow-queued by the blocklist. Logged-in submissions start in `in_progress`.',
+        auth: 'optional',
+        parameters: [
+          {
+            name: 'X-PoW-Challenge',
+            in: 'header',
+            description:
+              'Anonymous submissions: a challenge from `GET /challenge`.',
+            schema: { type: 'string' }
+          },
+          {
+            name: 'X-PoW-Nonce',
+            in: 'header',
+            description:
+              'Anonymous submissions: the nonce solving the challenge.',
+            schema: { type: 'string' }
+          }
+        ],
+        requestBody: jsonBody(toJsonSchema(requestSchemas.reportCreate)),
+        responses: {
+          201: reportResponse(`The new ${noun}`, report),
+          400: error('Invalid body or URL'),
+          403: error('Blocked address, or an invalid or reused proof of work'),
+          409: error(`The ${noun} was already reported`),
+          428: error('Proof of work required'),
+          429: responseRef('TooManyRequests')
+        }
+      })
+    },
+
+    [`${base}/{id}`]: {
+      get: operation({
+        tags,
+        summary: `Get a ${noun}`,
+        parameters: [idParam],
+        responses: {
+          200: reportResponse(`The ${noun}`, report),
+          404: notFound
+        }
+      }),
+      put: operation({
+        tags,
+        summary: `Update a ${noun}`,
+        description: `Reporters may edit their own ${type.name}; the 'report.edit' permission allows any. Changing \`status\` must follow the workflow.`,
+        auth: 'required',
+        parameters: [idParam, ifMatchHeader],
+        requestBody: jsonBody(toJsonSchema(requestSchemas.reportUpdate)),
+        responses: {
+          200: reportResponse(`The updated ${noun}`, report),
+          400: error(
+            'Invalid body or URL, no changes or transition not allowed'
+          ),
+          403: error('Not the reporter, or a field the user may not set'),
+          404: notFound,
+          409: error('Another report covers the new URL'),
+          412: stale
+        }
+      }),
+      delete: operation({
+        tags,
+        summary: `Move a ${noun} to the trash`,
+        auth: 'required',
+        permission: 'report.delete',
+        parameters: [idParam],
+        requestBody: {
+          required: false,
+          content: {
+            'application/json': {
+              schema: toJsonSchema(requestSchemas.reportDelete)
+            }
+          }
+        },
+        responses: {
+          200: json('Deleted', {
+            type: 'object',
+            properties: {
+              success: { type: 'boolean' },
+              deletedId: { type: 'integer' },
+              purgeAfter: { type: 'string', format: 'date-time' }
+            }
+          }),
+          404: notFound
+        }
+      })
+    },
+
+    [`${base}/{id}/status`]: {
+      put: operation({
+        tags,
+        summary: `Change the status of a ${noun}`,
+        description: `Only the transitions of the type's workflow are allowed. Entering ${type.reasonRequired.map(s => `'${s}'`).join(', ')} requires a \`reason\`.`,
+        auth: 'required',
+        permission: 'report.status',
+        parameters: [idParam, ifMatchHeader],
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['status'],
+          properties: {
+            status: { type: 'string', enum: type.statuses },
+            reason: { type: 'string', maxLength: 1000 }
+          }
+        }),
+        responses: {
+          200: reportResponse(`The updated ${noun}`, report),
+          400: error('Invalid status, no change or transition not allowed'),
+          404: notFound,
+          412: stale
+        }
+      })
+    },
+
+    [`${base}/{id}/approve`]: {
+      put: operation({
+        tags,
+        summary: `Approve a ${noun}`,
+        description: "Approves the report and moves it to 'in_progress'.",
+        auth: 'required',
+        permission: 'report.approve',
+        parameters: [idParam, ifMatchHeader],
+        responses: {
+          200: reportResponse(`The approved ${noun}`, report),
+          400: error('Transition not allowed'),
+          404: notFound,
+          412: stale
+        }
+      })
+    },
+
+    [`${base}/{id}/history`]: {
+      get: operation({
+        tags,
+        summary: `Change history of a ${noun}`,
+        description: 'Also available for deleted and purged reports.',
+        auth: 'required',
+        permission: 'report.history',
+        parameters: [idParam],
+        responses: {
+          200: json('History entries, oldest first', {
+            type: 'array',
+            items: ref('HistoryEntry')
+          }),
+          404: notFound
+        }
+      })
+    },
+
+    [`${base}/{id}/comments`]: {
+      get: operation({
+        tags,
+        summary: `Comments on a ${noun}`,
+        description:
+          "Staff (the 'comment.internal' permission) see every comment, the reporter only public ones.",
+        auth: 'required',
+        parameters: [idParam],
+        responses: {
+          200: json('Comments, oldest first', {
+            type: 'array',
+            items: ref('Comment')
+          }),
+          403: error('Neither the reporter nor staff'),
+          404: notFound
+        }
+      }),
+      post: operation({
+        tags,
+        summary: `Comment on a ${noun}`,
+        description:
+          'Staff comments are internal by default. Reporters can only add public comments to their own reports.',
+        auth: 'required',
+        parameters: [idParam],
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['body'],
+          properties: {
+            body: { type: 'string', maxLength: 2000 },
+            visibility: { type: 'string', enum: ['internal', 'public'] }
+          }
+        }),
+        responses: {
+          201: json('The new comment', ref('Comment')),
+          400: error('Empty or too long body, or invalid visibility'),
+          403: error('Not allowed to comment'),
+          404: notFound
+        }
+      })
+    },
+
+    [`${base}/{id}/comments/{commentId}`]: {
+      patch: operation({
+        tags,
+        summary: 'Edit a comment',
+        description: 'Authors only. The comment is marked as edited.',
+        auth: 'required',
+        parameters: [
+          idParam,
+          pathParam('commentId', 'Comment ID.', { type: 'integer' })
+        ],
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['body'],
+          properties: { body: { type: 'string', maxLength: 2000 } }
+        }),
+        responses: {
+          200: json('The updated comment', ref('Comment')),
+          400: error('Empty or too long body'),
+          403: error('Not the author'),
+          404: error('Report or comment not found')
+        }
+      }),
+      delete: operation({
+        tags,
+        summary: 'Delete a comment',
+        description:
+          "Authors, or users with the 'comment.moderate' permission.",
+        auth: 'required',
+        parameters: [
+          idParam,
+          pathParam('commentId', 'Comment ID.', { type: 'integer' })
+        ],
+        responses: {
+          200: json('Deleted', {
+            type: 'object',
+            properties: {
+              success: { type: 'boolean' },
+              deletedId: { type: 'integer' }
+            }
+          }),
+          404: error('Report or comment not found')
+        }
+      })
+    }
+  };
+};
+
+const authPaths = {
+  '/login': {
+    post: operation({
+      tags: ['auth'],
+      summary: 'Log in',
+      description:
+        'Starts a session. The access token expires after `JWT_EXPIRATION`; use the refresh token with `POST /refresh`.',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['username', 'password'],
+        properties: {
+          username: { type: 'string' },
+          password: { type: 'string', format: 'password' }
+        }
+      }),
+      responses: {
+        200: json('Tokens and user info', {
+          type: 'object',
+          properties: {
+            token: { type: 'string' },
+            refreshToken: { type: 'string' },
+            user: ref('User')
+          }
+        }),
+        401: error('Wrong password'),
+        403: error('Account not approved'),
+        404: error('User not found'),
+        429: responseRef('TooManyRequests')
+      }
+    })
+  },
+  '/register': {
+    post: operation({
+      tags: ['auth'],
+      summary: 'Register',
+      description: 'New accounts have to be approved by an admin.',
+      requestBody: jsonBody(toJsonSchema(requestSchemas.register)),
+      responses: {
+        201: json('The new user', ref('User')),
+        409: error('Username or profile URL already registered'),
+        429: responseRef('TooManyRequests')
+      }
+    })
+  },
+  '/refresh': {
+    post: operation({
+      tags: ['auth'],
+      summary: 'Refresh the access token',
+      description:
+        'Each refresh token works once. Reusing one revokes the whole session.',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['refreshToken'],
+        properties: { refreshToken: { type: 'string' } }
+      }),
+      responses: {
+        200: json('New tokens', {
+          type: 'object',
+          properties: {
+            token: { type: 'string' },
+            refreshToken: { type: 'string' }
+          }
+        }),
+        400: error('Missing refresh token'),
+        401: error('Invalid, expired, revoked or reused refresh token'),
+        429: responseRef('TooManyRequests')
+      }
+    })
+  },
+  '/logout': {
+    post: operation({
+      tags: ['auth'],
+      summary: 'Log out',
+      description: 'Blocks the access token and revokes its session.',
+      auth: 'required',
+      responses: { 200: success }
+    })
+  }
+};
+
+const userIdParam = pathParam('id', 'User ID.', { type: 'integer' });
+
+const userPaths = {
+  '/users': {
+    get: operation({
+      tags: ['users'],
+      summary: 'List users',
+      auth: 'required',
+      permission: 'user.list',
+      responses: {
+        200: json('All users', { type: 'array', items: ref('User') })
+      }
+    })
+  },
+  '/users/{id}': {
+    put: operation({
+      tags: ['users'],
+      summary: 'Approve or reject a user',
+      auth: 'required',
+      permission: 'user.approve',
+      parameters: [userIdParam],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['approved'],
+        properties: { approved: { type: 'boolean' } }
+      }),
+      responses: {
+        200: json('The updated user', ref('User')),
+        400: error('Missing `approved`'),
+        404: error('User not found')
+      }
+    }),
+    delete: operation({
+      tags: ['users'],
+      summary: 'Delete a user',
+      description: 'Admins cannot delete themselves or other admins.',
+      auth: 'required',
+      permission: 'user.delete',
+      parameters: [userIdParam],
+      responses: {
+        200: json('Deleted', {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            deletedId: { type: 'integer' },
+            username: { type: 'string' }
+          }
+        }),
+        400: error('Cannot delete yourself'),
+        404: error('User not found')
+      }
+    })
+  },
+  '/users/{id}/role': {
+    put: operation({
+      tags: ['users'],
+      summary: "Change a user's role",
+      description:
+        "The user's sessions are revoked so the new role applies on their next login.",
+      auth: 'required',
+      permission: 'user.role',
+      parameters: [userIdParam],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['role'],
+        properties: { role: { type: 'string', enum: roles } }
+      }),
+      responses: {
+        200: json('The updated user', ref('User')),
+        400: error('Invalid role, or your own role'),
+        404: error('User not found')
+      }
+    })
+  },
+  '/users/{id}/logout': {
+    post: operation({
+      tags: ['users'],
+      summary: 'Revoke all sessions of a user',
+      auth: 'required',
+      permission: 'user.sessions',
+      parameters: [userIdParam],
+      responses: {
+        200: json('Revoked', {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            userId: { type: 'integer' },
+            revoked: { type: 'integer' }
+          }
+        }),
+        404: error('User not found')
+      }
+    })
+  },
+  '/users/delete-requests': {
+    get: operation({
+      tags: ['users'],
+      summary: 'List pending account deletion requests',
+      auth: 'required',
+      permission: 'user.deletionRequests',
+      responses: {
+        200: json('Pending requests', {
+          type: 'array',
+          items: ref('DeletionRequest')
+        })
+      }
+    })
+  },
+  '/users/delete-requests/{id}': {
+    put: operation({
+      tags: ['users'],
+      summary: 'Approve or reject a deletion request',
+      description:
+        'Approving deletes the user, or anonymizes them if they authored reports. Their sessions are revoked.',
+      auth: 'required',
+      permission: 'user.deletionRequests',
+      parameters: [pathParam('id', 'Request ID.', { type: 'integer' })],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['action'],
+        properties: {
+          action: { type: 'string', enum: ['approve', 'reject'] },
+          note: { type: 'string' }
+        }
+      }),
+      responses: {
+        200: json('The resolved request', ref('DeletionRequest')),
+        400: error('Invalid action'),
+        404: error('Request or user not found'),
+        409: error('Request is not pending')
+      }
+    })
+  }
+};
+
+const profilePaths = {
+  '/user/profile': {
+    get: operation({
+      tags: ['profile'],
+      summary: 'Your profile',
+      auth: 'required',
+      responses: {
+        200: json('Profile', {
+          type: 'object',
+          properties: {
+            username: { type: 'string' },
+            shProfileURL: { type: 'string' },
+            role: { type: 'string', enum: roles },
+            approved: { type: 'boolean' },
+            dateCreated: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Null for accounts created before it was recorded.'
+            }
+          }
+        }),
+        404: error('User not found')
+      }
+    })
+  },
+  '/user/profile/password': {
+    patch: operation({
+      tags: ['profile'],
+      summary: 'Change your password',
+      auth: 'required',
+      requestBody: jsonBody(toJsonSchema(requestSchemas.passwordChange)),
+      responses: {
+        200: json('Changed', ref('Confirmation')),
+        403: error('Wrong old password'),
+        404: error('User not found')
+      }
+    })
+  },
+  '/user/profile/delete-request': {
+    get: operation({
+      tags: ['profile'],
+      summary: 'Your latest account deletion request',
+      auth: 'required',
+      responses: {
+        200: json('The request', ref('DeletionRequest')),
+        404: error('No request submitted')
+      }
+    }),
+    post: operation({
+      tags: ['profile'],
+      summary: 'Request deletion of your account',
+      auth: 'required',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['reason'],
+        properties: { reason: { type: 'string' } }
+      }),
+      responses: {
+        200: json('Submitted', ref('Confirmation')),
+        400: error('Missing reason'),
+        404: error('User not found'),
+        409: error('A request is already pending')
+      }
+    }),
+    delete: operation({
+      tags: ['profile'],
+      summary: 'Cancel your pending deletion request',
+      auth: 'required',
+      responses: {
+        200: json('Cancelled', ref('Confirmation')),
+        404: error('No pending request')
+      }
+    })
+  },
+  '/user/profile/sessions': {
+    get: operation({
+      tags: ['profile'],
+      summary: 'Your active sessions',
+      auth: 'required',
+      responses: {
+        200: json('Sessions; the one making the request has `current: true`', {
+          type: 'array',
+          items: ref('Session')
+        })
+      }
+    }),
+    delete: operation({
+      tags: ['profile'],
+      summary: 'Revoke all your sessions',
+      description: 'Including the current one.',
+      auth: 'required',
+      responses: {
+        200: json('Revoked', {
+          allOf: [
+            ref('Confirmation'),
+            { type: 'object', properties: { revoked: { type: 'integer' } } }
+          ]
+        })
+      }
+    })
+  },
+  '/user/profile/sessions/{id}': {
+    delete: operation({
+      tags: ['profile'],
+      summary: 'Revoke one of your sessions',
+      auth: 'required',
+      parameters: [pathParam('id', 'Session ID.')],
+      responses: {
+        200: json('Revoked', ref('Confirmation')),
+        404: error('Not an active session of yours')
+      }
+    })
+  }
+};
+
+const webhookIdParam = pathParam('id', 'Webhook ID.', { type: 'integer' });
+
+const webhookPaths = {
+  '/webhooks': {
+    get: operation({
+      tags: ['webhooks'],
+      summary: 'List webhooks',
+      description: 'Secrets are left out.',
+      auth: 'required',
+      permission: 'webhook.manage',
+      responses: {
+        200: json('Webhooks keyed by ID', {
+          type: 'object',
+          additionalProperties: ref('Webhook')
+        })
+      }
+    }),
+    post: operation({
+      tags: ['webhooks'],
+      summary: 'Add a webhook',
+      description:
+        'Discord webhooks need a Discord webhook URL, generic ones any HTTPS URL; generic webhooks get a signing `secret`, returned only here and when rotated. `events: null` receives every event except opt-in ones, `statuses: null` any status.',
+      auth: 'required',
+      permission: 'webhook.manage',
+      requestBody: jsonBody(toJsonSchema(requestSchemas.webhookCreate)),
+      responses: {
+        201: json('The new webhook, with its secret', ref('Webhook')),
+        409: error('A webhook with this URL exists')
+      }
+    })
+  },
+  '/webhooks/{id}': {
+    patch: operation({
+      tags: ['webhooks'],
+      summary: 'Edit a webhook',
+      auth: 'required',
+      permission: 'webhook.manage',
+      parameters: [webhookIdParam],
+      requestBody: jsonBody(toJsonSchema(requestSchemas.webhookUpdate)),
+      responses: {
+        200: json('The updated webhook', ref('Webhook')),
+        404: error('Webhook not found'),
+        409: error('Another webhook has this URL')
+      }
+    }),
+    delete: operation({
+      tags: ['webhooks'],
+      summary: 'Delete a webhook',
+      auth: 'required',
+      permission: 'webhook.manage',
+      parameters: [webhookIdParam],
+      responses: { 200: success, 404: error('Webhook not found') }
+    })
+  },
+  '/webhooks/{id}/rotate-secret': {
+    post: operation({
+      tags: ['webhooks'],
+      summary: 'Rotate the secret of a generic webhook',
+      auth: 'required',
+      permission: 'webhook.manage',
+      parameters: [webhookIdParam],
+      responses: {
+        200: json('The webhook with its new secret', ref('Webhook')),
+        400: error('Not a generic webhook'),
+        404: error('Webhook not found')
+      }
+    })
+  },
+  '/webhooks/deliveries': {
+    get: operation({
+      tags: ['webhooks'],
+      summary: 'List webhook deliveries',
+      auth: 'required',
+      permission: 'webhook.manage',
+      parameters: [
+        queryParam('status', 'Delivery status (default: dead).', {
+          type: 'string',
+          enum: ['pending', 'delivered', 'dead']
+        })
+      ],
+      responses: {
+        200: json('Deliveries', { type: 'array', items: ref('Delivery') }),
+        400: error('Invalid status')
+      }
+    })
+  },
+  '/webhooks/deliveries/replay': {
+    post: operation({
+      tags: ['webhooks'],
+      summary: 'Replay all dead deliveries',
+      auth: 'required',
+      permission: 'webhook.manage',
+      responses: {
+        200: json('Replayed', {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            replayed: { type: 'integer' }
+          }
+        })
+      }
+    })
+  },
+  '/webhooks/deliveries/{id}/replay': {
+    post: operation({
+      tags: ['webhooks'],
+      summary: 'Replay a delivery',
+      auth: 'required',
+      permission: 'webhook.manage',
+      parameters: [pathParam('id', 'Delivery ID.', { type: 'integer' })],
+      responses: {
+        200: json('The delivery, queued again', ref('Delivery')),
+        404: error('Delivery not found')
+      }
+    })
+  }
+};
+
+const evidencePaths = {
+  '/evidence/{reportType}/{reportId}': {
+    get: operation({
+      tags: ['evidence'],
+      summary: 'List the evidence of a report',
+      description:
+        "Unless the report is approved, only its reporter and the 'evidence.view' permission see its evidence; anyone else gets 404.",
+      auth: 'optional',
+      parameters: [
+        reportTypeParam,
+        pathParam('reportId', 'Report ID.', { type: 'integer' })
+      ],
+      responses: {
+        200: json('Evidence', { type: 'array', items: ref('Evidence') }),
+        400: error('Invalid report type'),
+        404: error('Report not found, or its evidence not visible')
+      }
+    }),
+    post: operation({
+      tags: ['evidence'],
+      summary: 'Upload evidence',
+      description:
+        "Send the file as the body with its `Content-Type`. Reporters can upload to their own reports; the 'report.edit' permission allows any.",
+      auth: 'required',
+      parameters: [
+        reportTypeParam,
+        pathParam('reportId', 'Report ID.', { type: 'integer' }),
+        queryParam('name', 'Original file name.')
+      ],
+      requestBody: {
+        required: true,
+        content: Object.fromEntries(
+          Object.keys(evidenceTypes).map(type => [
+            type,
+            { schema: { type: 'string', format: 'binary' } }
+          ])
+        )
+      },
+      responses: {
+        201: json('The evidence record', ref('Evidence')),
+        400: error('Invalid report type, empty body or repeated name'),
+        403: error('Not the reporter'),
+        404: error('Report not found'),
+        413: error(`Larger than EVIDENCE_MAX_BYTES (${env.evidenceMaxBytes})`),
+        415: error('Unsupported type, or content not matching it')
+      }
+    })
+  },
+  '/evidence/file/{id}': {
+    get: operation({
+      tags: ['evidence'],
+      summary: 'Download an evidence file',
+      description:
+        "Unless the report is approved, only its reporter and the 'evidence.view' permission can download its files; anyone else gets 404.",
+      auth: 'optional',
+      parameters: [pathParam('id', 'Evidence ID.', { type: 'integer' })],
+      responses: {
+        200: {
+          description: 'The file',
+          content: { '*/*': { schema: { type: 'string', format: 'binary' } } }
+        },
+        404: error('Evidence not found or not visible')
+      }
+    })
+  },
+  '/evidence/{id}': {
+    delete: operation({
+      tags: ['evidence'],
+      summary: 'Remove evidence',
+      auth: 'required',
+      permission: 'evidence.delete',
+      parameters: [pathParam('id', 'Evidence ID.', { type: 'integer' })],
+      responses: { 200: success, 404: error('Evidence not found') }
+    })
+  }
+};
+
+const bulkPaths = {
+  '/bulk/{reportType}/export': {
+    get: operation({
+      tags: ['bulk'],
+      summary: 'Export a collection',
+      description: 'Deleted reports are left out.',
+      auth: 'required',
+      permission: 'report.export',
+      parameters: [
+        reportTypeParam,
+        queryParam('format', 'File format (default: json).', {
+          type: 'string',
+          enum: ['json', 'csv']
+        })
+      ],
+      responses: {
+        200: {
+          description: 'File download',
+          content: {
+            'application/json': {
+              schema: { type: 'array', items: ref('Report') }
+            },
+            'text/csv': { schema: { type: 'string' } }
+          }
+        },
+        400: error('Invalid report type or format')
+      }
+    })
+  },
+  '/bulk/{reportType}/import': {
+    post: operation({
+      tags: ['bulk'],
+      summary: 'Import reports',
+      description:
+        'Rows have the fields of a report submission: `url` (required), `title`, `status`, `reporter`, `reason`, `proofs`, `additionalInfo` and `dateReported`. Each row is validated like a submission, other fields are ignored. `reporter` is linked to the user with that name. CSV needs a header row. At most 5000 rows and 5 MB.',
+      auth: 'required',
+      permission: 'report.import',
+      parameters: [
+        reportTypeParam,
+        queryParam('dryRun', 'Only validate.', { type: 'boolean' })
+      ],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'array',
+              items: { type: 'object', required: ['url'] }
+            }
+          },
+          'text/csv': { schema: { type: 'string' } }
+        }
+      },
+      responses: {
+        200: json('Dry run, or nothing created', ref('ImportResult')),
+        201: json('Reports created', ref('ImportResult')),
+        400: error('Invalid report type or unreadable body'),
+        413: error('Too many rows')
+      }
+    })
+  }
+};
+
+const miscPaths = {
+  '/version': {
+    get: operation({
+      tags: ['misc'],
+      summary: 'Client version and changelog',
+      responses: {
+        200: json('Version info', {
+          type: 'object',
+          properties: {
+            client_version: { type: 'string' },
+            changes: { type: 'array', items: {} },
+            changelog: { type: 'string' },
+            button_text: { type: 'string' }
+          }
+        }),
+        500: error('Version data missing')
+      }
+    })
+  },
+  '/stats': {
+    get: operation({
+      tags: ['misc'],
+      summary: 'Dashboard statistics',
+      description: 'Results are cached for `STATS_CACHE_SECONDS`.',
+      auth: 'required',
+      permission: 'stats.view',
+      parameters: [
+        queryParam('from', 'Start of the range (default: 30 days ago).', {
+          type: 'string',
+          format: 'date'
+        }),
+        queryParam('to', 'End of the range (default: today).', {
+          type: 'string',
+          format: 'date'
+        }),
+        queryParam('interval', 'Timeline bucket size.', {
+          type: 'string',
+          enum: ['day', 'week']
+        }),
+        queryParam('top', 'Number of top reporters (default 10).', {
+          type: 'integer',
+          minimum: 1,
+          maximum: 50
+        })
+      ],
+      responses: {
+        200: json('Statistics', { type: 'object' }),
+        400: error('Invalid parameters')
+      }
+    })
+  },
+  '/feeds/{format}': {
+    get: operation({
+      tags: ['misc'],
+      summary: 'Feed of resolved reports',
+      description:
+        "Approved reports that reached one of their type's feed statuses, newest first. Supports `If-None-Match`.",
+      parameters: [
+        pathParam('format', 'Feed format.', {
+          type: 'string',
+          enum: ['atom', 'rss']
+        }),
+        queryParam('type', 'Only one report type.', reportTypeParam.schema)
+      ],
+      responses: {
+        200: {
+          description: 'The feed',
+          content: {
+            'application/atom+xml': { schema: { type: 'string' } },
+            'application/rss+xml': { schema: { type: 'string' } }
+          }
+        },
+        304: { description: 'Not modified' },
+        400: error('Invalid type'),
+        404: { description: 'Unknown format' }
+      }
+    })
+  },
+  '/events': {
+    get: operation({
+      tags: ['misc'],
+      summary: 'Server-Sent Events stream',
+      description:
+        "Pushes the events webhooks receive. Users with the 'events.full' permission get every event, everyone else only events about approved reports. Full access is checked with every heartbeat, and the stream is closed once it is lost. Send `Last-Event-ID` to receive missed events; a `reset` event means they are gone.",
+      auth: 'optional',
+      parameters: [
+        queryParam('lastEventId', 'Alternative to the `Last-Event-ID` header.')
+      ],
+      responses: {
+        200: {
+          description: 'The event stream',
+          content: { 'text/event-stream': { schema: { type: 'string' } } }
+        },
+        400: error('Malformed Authorization header'),
+        403: error('Invalid, expired or revoked token'),
+        503: error('Too many open streams')
+      }
+    })
+  },
+  '/challenge': {
+    get: operation({
+      tags: ['misc'],
+      summary: 'Proof-of-work challenge',
+      description:
+        'Find a `nonce` for which `sha256("<challenge>:<nonce>")` starts with `difficulty` zero bits and send both with an anonymous submission.',
+      responses: {
+        200: json('A challenge, or `{ required: false }` when disabled', {
+          type: 'object',
+          properties: {
+            required: { type: 'boolean' },
+            challenge: { type: 'string' },
+            difficulty: { type: 'integer' },
+            expiresAt: { type: 'string', format: 'date-time' }
+          }
+        })
+      }
+    })
+  },
+  '/docs': {
+    get: operation({
+      tags: ['misc'],
+      summary: 'Interactive API documentation',
+      responses: {
+        200: {
+          description: 'HTML page',
+          content: { 'text/html': { schema: { type: 'string' } } }
+        }
+      }
+    })
+  },
+  '/docs/openapi.json': {
+    get: operation({
+      tags: ['misc'],
+      summary: 'This document',
+      responses: { 200: json('OpenAPI document', { type: 'object' }) }
+    })
+  }
+};
+
+const adminPaths = {
+  '/blocklist': {
+    get: operation({
+      tags: ['blocklist'],
+      summary: 'List blocklist entries',
+      auth: 'required',
+      permission: 'blocklist.manage',
+      responses: {
+        200: json('Entries', { type: 'array', items: ref('BlocklistEntry') })
+      }
+    }),
+    post: operation({
+      tags: ['blocklist'],
+      summary: 'Block an address or range',
+      description:
+        "'reject' refuses submissions with 403, 'shadow' accepts them into the shadow queue.",
+      auth: 'required',
+      permission: 'blocklist.manage',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['cidr', 'action'],
+        properties: {
+          cidr: { type: 'string', example: '203.0.113.0/24' },
+          action: { type: 'string', enum: ['reject', 'shadow'] },
+          reason: { type: 'string' }
+        }
+      }),
+      responses: {
+        201: json('The new entry', ref('BlocklistEntry')),
+        400: error('Invalid range or action'),
+        409: error('Already blocked')
+      }
+    })
+  },
+  '/blocklist/{id}': {
+    delete: operation({
+      tags: ['blocklist'],
+      summary: 'Remove a blocklist entry',
+      auth: 'required',
+      permission: 'blocklist.manage',
+      parameters: [pathParam('id', 'Entry ID.', { type: 'integer' })],
+      responses: { 200: success, 404: error('Entry not found') }
+    })
+  },
+  '/blocklist/shadowed': {
+    get: operation({
+      tags: ['blocklist'],
+      summary: 'List shadow-queued submissions',
+      auth: 'required',
+      permission: 'blocklist.manage',
+      responses: {
+        200: json('Queued submissions, oldest first', {
+          type: 'array',
+          items: ref('ShadowedSubmission')
+        })
+      }
+    })
+  },
+  '/blocklist/shadowed/{id}/release': {
+    post: operation({
+      tags: ['blocklist'],
+      summary: 'Release a shadow-queued submission',
+      description: 'Adds it to its collection as a normal report.',
+      auth: 'required',
+      permission: 'blocklist.manage',
+      parameters: [pathParam('id', 'Queue entry ID.', { type: 'integer' })],
+      responses: {
+        201: json('The new report', ref('Report')),
+        404: error('Entry not found'),
+        409: error('The report already exists')
+      }
+    })
+  },
+  '/blocklist/shadowed/{id}': {
+    delete: operation({
+      tags: ['blocklist'],
+      summary: 'Discard a shadow-queued submission',
+      auth: 'required',
+      permission: 'blocklist.manage',
+      parameters: [pathParam('id', 'Queue entry ID.', { type: 'integer' })],
+      responses: { 200: success, 404: error('Entry not found') }
+    })
+  },
+  '/trash': {
+    get: operation({
+      tags: ['trash'],
+      summary: 'List deleted reports',
+      auth: 'required',
+      permission: 'report.trash',
+      parameters: [
+        queryParam('type', 'Only one report type.', reportTypeParam.schema)
+      ],
+      responses: {
+        200: json('Deleted reports, most recently deleted first', {
+          type: 'array',
+          items: ref('Report')
+        }),
+        400: error('Invalid type')
+      }
+    }),
+    delete: operation({
+      tags: ['trash'],
+      summary: 'Purge expired reports',
+      description:
+        'Permanently removes reports deleted more than `TRASH_RETENTION_DAYS` ago, with their evidence.',
+      auth: 'required',
+      permission: 'report.trash',
+      parameters: [
+        queryParam('type', 'Only one report type.', reportTypeParam.schema)
+      ],
+      responses: {
+        200: json('Purged reports', {
+          type: 'object',
+          properties: {
+            purged: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  reportType: { type: 'string' },
+                  id: { type: 'integer' }
+                }
+              }
+            },
+            count: { type: 'integer' }
+          }
+        }),
+        400: error('Invalid type')
+      }
+    })
+  },
+  '/trash/{reportType}/{id}/restore': {
+    post: operation({
+      tags: ['trash'],
+      summary: 'Restore a deleted report',
+      auth: 'required',
+      permission: 'report.trash',
+      parameters: [
+        reportTypeParam,
+        pathParam('id', 'Report ID.', { type: 'integer' })
+      ],
+      responses: {
+        200: json('The restored report', ref('Report')),
+        400: error('Invalid report type'),
+        404: error('Not in the trash'),
+        409: error('Another report now covers the same URL')
+      }
+    })
+  },
+  '/backups': {
+    get: operation({
+      tags: ['backups'],
+      summary: 'List snapshots',
+      auth: 'required',
+      permission: 'backup.manage',
+      responses: {
+        200: json('Snapshots, newest first', {
+          type: 'array',
+          items: ref('Snapshot')
+        })
+      }
+    }),
+    post: operation({
+      tags: ['backups'],
+      summary: 'Take a snapshot',
+      auth: 'required',
+      permission: 'backup.manage',
+      responses: { 201: json('The new snapshot', ref('Snapshot')) }
+    })
+  },
+  '/backups/{id}': {
+    get: operation({
+      tags: ['backups'],
+      summary: 'Download a snapshot',
+      auth: 'required',
+      permission: 'backup.manage',
+      parameters: [pathParam('id', 'Snapshot ID.')],
+      responses: {
+        200: json('The snapshot file', { type: 'object' }),
+        404: error('Snapshot not found')
+      }
+    })
+  },
+  '/backups/{id}/restore': {
+    post: operation({
+      tags: ['backups'],
+      summary: 'Restore a snapshot',
+      description:
+        'A pre-restore snapshot is taken first, and older data is migrated afterwards. Sessions are restored too, so newer ones stop working.',
+      auth: 'required',
+      permission: 'backup.manage',
+      parameters: [pathParam('id', 'Snapshot ID.')],
+      responses: {
+        200: json('Restored', {
+          type: 'object',
+          properties: {
+            restored: { type: 'string' },
+            preRestoreSnapshot: ref('Snapshot'),
+            migrations: { type: 'object' }
+          }
+        }),
+        400: error('Snapshot has an unexpected shape'),
+        404: error('Snapshot not found')
+      }
+    })
+  }
+};
+
+const reportSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    title: { type: 'string' },
+    url: { type: 'string', format: 'uri' },
+    canonicalKey: { type: 'string', example: 'series:123' },
+    status: { type: 'string' },
+    statusReason: { type: 'string', nullable: true },
+    statusChangedAt: {
+      type: 'object',
+      additionalProperties: { type: 'string', format: 'date-time' },
+      description: 'When the report last entered each status.'
+    },
+    reporter: { type: 'string' },
+    reporterId: { type: 'integer', nullable: true },
+    reason: { type: 'string' },
+    proofs: { type: 'array', items: { type: 'string', format: 'uri' } },
+    additionalInfo: { type: 'string' },
+    dateReported: { type: 'string', format: 'date' },
+    reportedAt: { type: 'string', format: 'date-time' },
+    approved: { type: 'boolean' },
+    revision: {
+      type: 'integer',
+      description: 'Goes up with each change; sent as the `ETag`.'
+    },
+    deletedAt: { type: 'string', format: 'date-time' },
+    deletedBy: { type: 'string' },
+    deletedReason: { type: 'string', nullable: true }
+  }
+};
+
+const schemas = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: { type: 'string' },
+      details: { description: 'A message, or a list of field errors.' }
+    }
+  },
+  ValidationError: {
+    type: 'object',
+    properties: {
+      error: { type: 'string' },
+      details: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            field: { type: 'string' },
+            message: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+  RevisionMismatch: {
+    type: 'object',
+    properties: {
+      error: { type: 'string' },
+      details: { type: 'string' },
+      current: { ...ref('Report'), description: 'The report as it is now.' }
+    }
+  },
+  Confirmation: {
+    type: 'object',
+    properties: { success: { type: 'boolean' }, message: { type: 'string' } }
+  },
+  Report: reportSchema,
+  ...Object.fromEntries(
+    getReportTypes().map(type => [
+      type.label,
+      {
+        allOf: [
+          ref('Report'),
+          {
+            type: 'object',
+            properties: { status: { type: 'string', enum: type.statuses } }
+          }
+        ]
+      }
+    ])
+  ),
+  ReportPage: {
+    type: 'object',
+    properties: {
+      items: { type: 'array', items: ref('Report') },
+      total: { type: 'integer' },
+      page: { type: 'integer' },
+      limit: { type: 'integer' },
+      totalPages: { type: 'integer' }
+    }
+  },
+  HistoryEntry: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      reportType: { type: 'string' },
+      reportId: { type: 'integer' },
+      version: { type: 'integer' },
+      action: { type: 'string', example: 'status_changed' },
+      changedBy: { type: 'string' },
+      changes: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          properties: { oldValue: {}, newValue: {} }
+        }
+      },
+      timestamp: { type: 'string', format: 'date-time' }
+    }
+  },
+  Comment: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      reportType: { type: 'string' },
+      reportId: { type: 'integer' },
+      author: { type: 'string' },
+      authorId: { type: 'integer' },
+      body: { type: 'string' },
+      visibility: { type: 'string', enum: ['internal', 'public'] },
+      created: { type: 'string', format: 'date-time' },
+      edited: { type: 'boolean' },
+      editedAt: { type: 'string', format: 'date-time', nullable: true }
+    }
+  },
+  User: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      username: { type: 'string' },
+      shProfileURL: { type: 'string' },
+      role: { type: 'string', enum: roles },
+      approved: { type: 'boolean' }
+    }
+  },
+  DeletionRequest: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      userId: { type: 'integer' },
+      username: { type: 'string' },
+      reason: { type: 'string' },
+      status: {
+        type: 'string',
+        enum: ['pending', 'approved', 'rejected', 'cancelled']
+      },
+      requestDate: { type: 'string', format: 'date-time' },
+      resolvedDate: { type: 'string', format: 'date-time', nullable: true },
+      note: { type: 'string' }
+    }
+  },
+  Session: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      device: { type: 'string' },
+      ip: { type: 'string' },
+      created: { type: 'string', format: 'date-time' },
+      lastUsed: { type: 'string', format: 'date-time' },
+      expiresAt: { type: 'string', format: 'date-time' },
+      current: { type: 'boolean' }
+    }
+  },
+  Webhook: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      url: { type: 'string', format: 'uri' },
+      name: { type: 'string' },
+      type: { type: 'string', enum: webhookTypes },
+      secret: {
+        type: 'string',
+        nullable: true,
+        description: 'Only in responses that create or rotate it.'
+      },
+      events: {
+        type: 'array',
+        nullable: true,
+        items: { type: 'string', enum: webhookEvents }
+      },
+      statuses: { type: 'array', nullable: true, items: { type: 'string' } },
+      created: { type: 'string', format: 'date-time' },
+      createdBy: { type: 'string' },
+      lastUsed: { type: 'string', format: 'date-time', nullable: true }
+    }
+  },
+  Delivery: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      webhookId: { type: 'integer' },
+      eventType: { type: 'string' },
+      status: { type: 'string', enum: ['pending', 'delivered', 'dead'] },
+      attempts: { type: 'integer' },
+      lastError: { type: 'string', nullable: true }
+    }
+  },
+  Evidence: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      reportType: { type: 'string' },
+      reportId: { type: 'integer' },
+      hash: { type: 'string', description: 'SHA-256 of the content.' },
+      fileName: { type: 'string' },
+      mimeType: { type: 'string', enum: Object.keys(evidenceTypes) },
+      size: { type: 'integer' },
+      originalName: { type: 'string', nullable: true },
+      uploadedBy: { type: 'string' },
+      uploadedById: { type: 'integer' }
+    }
+  },
+  ImportResult: {
+    type: 'object',
+    properties: {
+      dryRun: { type: 'boolean' },
+      summary: {
+        type: 'object',
+        properties: {
+          total: { type: 'integer' },
+          created: { type: 'integer' },
+          skipped: { type: 'integer' },
+          invalid: { type: 'integer' }
+        }
+      },
+      rows: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            row: { type: 'integer' },
+            result: { type: 'string', enum: ['created', 'skipped', 'invalid'] },
+            url: { type: 'string' },
+            id: { type: 'integer', nullable: true },
+            reason: { type: 'string' },
+            error: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+  BlocklistEntry: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      cidr: { type: 'string' },
+      action: { type: 'string', enum: ['reject', 'shadow'] },
+      reason: { type: 'string' },
+      createdBy: { type: 'string' },
+      created: { type: 'string', format: 'date-time' }
+    }
+  },
+  ShadowedSubmission: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      reportType: { type: 'string' },
+      report: ref('Report'),
+      ip: { type: 'string' },
+      blockEntryId: { type: 'integer' },
+      created: { type: 'string', format: 'date-time' }
+    }
+  },
+  Snapshot: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      reason: {
+        type: 'string',
+        enum: ['manual', 'scheduled', 'pre-restore', 'pre-migration']
+      },
+      createdAt: { type: 'string', format: 'date-time' },
+      size: { type: 'integer' }
+    }
+  }
+};
+
+const responses = {
+  NoToken: error('No access token'),
+  Forbidden: error(
+    'Invalid, expired or revoked token, or a missing permission (`details` names it)'
+  ),
+  ValidationFailed: json(
+    'The body does not match the schema',
+    ref('ValidationError')
+  ),
+  TooManyRequests: error('Rate limit exceeded')
+};
+
+const createOpenApiSpec = () => ({
+  openapi: '3.0.3',
+  info: {
+    title: 'MSGA Server API',
+    version: require('../../package.json').version,
+    description:
+      'Reports of unauthorized translations on ScribbleHub. Errors are JSON objects with an `error` message and optional `details`.'
+  },
+  servers: [{ url: env.route.replace(/\/$/, '') || '/' }],
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+    },
+    schemas,
+    responses
+  },
+  paths: {
+    ...authPaths,
+    ...userPaths,
+    ...Object.assign({}, ...getReportTypes().map(reportPaths)),
+    ...profilePaths,
+    ...webhookPaths,
+    ...evidencePaths,
+    ...bulkPaths,
+    ...adminPaths,
+    ...miscPaths
+  }
+});
+
+module.exports = { createOpenApiSpec };
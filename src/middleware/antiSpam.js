@@ -0,0 +1,83 @@
+/**
+ * Anti-spam checks for report submissions, used together with `submissionLimiter`.
+ *
+ * @module middleware/antiSpam
+ * @requires ../utils/ipBlocklist
+ * @requires ../utils/proofOfWork
+ * @requires ../utils/logger
+ * @requires ../config
+ */
+
+/**
+ * Rejects submissions from addresses on the blocklist with 'reject', and marks those on the
+ * blocklist with 'shadow' by setting `req.shadowBlockEntry`. Route handlers must then store the
+ * report with `addToShadowQueue` instead of the real collection (see `utils/ipBlocklist`).
+ *
+ * @function
+ * @param {import('express').Request} req - The request.
+ * @param {import('express').Response} res - The response.
+ * @param {import('express').NextFunction} next - The next middleware.
+ */
+
+/**
+ * Requires anonymous submissions to include a solved challenge from `GET /challenge` in the
+ * `X-PoW-Challenge` and `X-PoW-Nonce` headers. Does nothing for authenticated users or when
+ * `env.powDifficulty` is 0. Must run after `optionalVerifyToken`.
+ *
+ * @function
+ * @param {import('express').Request} req - The request.
+ * @param {import('express').Response} res - The response.
+ * @param {import('express').NextFunction} next - The next middleware.
+ */
+
+const { findBlockEntry } = require('../utils/ipBlocklist');
+const { verifySolution } = require('../utils/proofOfWork');
+const logger = require('../utils/logger');
+const { env, errorMessages } = require('../config');
+
+const checkBlocklist = (req, res, next) => {
+  const entry = findBlockEntry(req.ip);
+  if (!entry) return next();
+
+  if (entry.action === 'shadow') {
+    logger.warn('Submission from shadow-blocked address', {
+      ip: req.ip,
+      entryId: entry.id
+    });
+    req.shadowBlockEntry = entry;
+    return next();
+  }
+
+  logger.warn('Submission from blocked address rejected', {
+    ip: req.ip,
+    entryId: entry.id
+  });
+  res.status(403).json({ error: errorMessages.submissionBlocked });
+};
+
+const requireProofOfWork = (req, res, next) => {
+  if (req.user || env.powDifficulty === 0) return next();
+
+  const challenge = req.get('X-PoW-Challenge');
+  const nonce = req.get('X-PoW-Nonce');
+  if (!challenge || !nonce) {
+    return res.status(428).json({
+      error: errorMessages.proofOfWorkRequired,
+      details:
+        'Solve a challenge from GET /challenge and send it in the X-PoW-Challenge and X-PoW-Nonce headers'
+    });
+  }
+
+  const problem = verifySolution(challenge, nonce);
+  if (problem) {
+    logger.warn('Invalid proof of work', { ip: req.ip, problem });
+    return res.status(403).json({
+      error: errorMessages.invalidProofOfWork,
+      details: problem
+    });
+  }
+
+  next();
+};
+
+module.exports = { checkBlocklist, requireProofOfWork };
@@ -2,19 +2,28 @@
  * Middleware to limit repeated requests to authentication endpoints (login/register).
  * Allows a maximum of 5 requests per minute per IP address to prevent brute-force attacks.
  * Responds with a custom error message when the limit is exceeded.
- * 
+ *
  * @type {import('express').RequestHandler}
  */
- 
+
 /**
  * Middleware to limit general requests to the server.
  * Allows a maximum of 100 requests per minute per IP address.
  * Responds with a custom error message when the limit is exceeded.
- * 
+ *
+ * @type {import('express').RequestHandler}
+ */
+
+/**
+ * Middleware to limit anonymous report submissions (`POST /works` and the other report types).
+ * Allows `env.submissionLimitMax` submissions per `env.submissionLimitWindowMs` per IP address.
+ * Authenticated users are not counted, so it must run after `optionalVerifyToken`.
+ *
  * @type {import('express').RequestHandler}
  */
 
 const rateLimit = require('express-rate-limit');
+const { env, errorMessages } = require('../config');
 
 // 5 requests per minute on login/register to thwart brute‑force
 const authLimiter = rateLimit({
@@ -34,3 +43,13 @@ const generalLimiter = rateLimit({
   }
 });
 exports.generalLimiter = generalLimiter;
+
+const submissionLimiter = rateLimit({
+  windowMs: env.submissionLimitWindowMs,
+  max: env.submissionLimitMax,
+  skip: req => !!req.user,
+  message: {
+    error: errorMessages.tooManySubmissions
+  }
+});
+exports.submissionLimiter = submissionLimiter;
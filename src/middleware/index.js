@@ -4,7 +4,7 @@
  * - Sets 'trust proxy' to 1 for correct client IP handling behind proxies.
  * - Applies security headers middleware.
  * - Enables CORS with custom options.
- * - Parses incoming JSON requests.
+ * - Parses incoming JSON requests, except bulk imports, which allow larger bodies (see `routes/admin/bulk`).
  * - Logs incoming requests.
  *
  * @param {import('express').Express} app - The Express application instance to configure.
@@ -19,11 +19,17 @@ const { securityHeaders } = require('./securityHeaders');
 const { authLimiter, generalLimiter } = require('./authLimiter');
 const requestLogger = require('./requestLogger');
 
+const jsonBody = express.json();
+const isBulkImport = req =>
+  req.method === 'POST' && /\/bulk\/[^/]+\/import$/.test(req.path);
+
 module.exports = function loadMiddleware(app) {
   app.set('trust proxy', 1);
   app.use(securityHeaders);
   app.use(cors(corsOptions));
-  app.use(express.json());
+  app.use((req, res, next) =>
+    isBulkImport(req) ? next() : jsonBody(req, res, next)
+  );
   app.use(requestLogger);
 
   return { authLimiter, generalLimiter };
@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const { env } = require('../config');
-const { getDatabase } = require('../utils/db');
+const { getRepository } = require('../utils/db');
+const { isSessionActive } = require('../utils/sessions');
 const { securityHeaders } = require('./securityHeaders');
 
 module.exports = function optionalVerifyToken(req, res, next) {
@@ -25,11 +26,14 @@ module.exports = function optionalVerifyToken(req, res, next) {
           return next(); // Invalid token, proceed normally
         }
 
-        const blockedTokens = getDatabase('blockedTokens');
-        if (blockedTokens[decoded.jti]) {
+        if (getRepository('blockedTokens').get(decoded.jti)) {
           return next(); // Revoked token, proceed normally
         }
 
+        if (decoded.sid && !isSessionActive(decoded.sid)) {
+          return next(); // Revoked session, proceed normally
+        }
+
         // Valid token found - attach user to request
         req.user = decoded;
         next();
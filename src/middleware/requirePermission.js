@@ -0,0 +1,71 @@
+/**
+ * Permission checks based on the central role/permission map in `config.permissions`.
+ *
+ * Must run after `verifyToken`, which attaches the authenticated user to `req.user`.
+ *
+ * @module middleware/requirePermission
+ * @requires ../config
+ * @requires ../utils/logger
+ */
+
+/**
+ * Checks whether a user's role grants a permission.
+ *
+ * @function
+ * @param {Object} [user] - The authenticated user (`req.user`).
+ * @param {string} action - The permission to check, e.g. 'report.approve'.
+ * @returns {boolean} True if the user's role is allowed to perform the action.
+ */
+
+/**
+ * Checks whether a user submitted a report.
+ * Reports created before `reporterId` was stored fall back to matching the reporter name.
+ *
+ * @function
+ * @param {Object} [user] - The authenticated user (`req.user`).
+ * @param {Object} report - The work or profile record.
+ * @returns {boolean} True if the user is the report's reporter.
+ */
+
+/**
+ * Creates middleware that rejects the request with 403 unless the user has a permission.
+ *
+ * @function
+ * @param {string} action - The permission to require, e.g. 'webhook.manage'.
+ * @param {string} [message] - Error message to respond with (default: `errorMessages.onlyAdminsCanAccess`).
+ * @returns {import('express').RequestHandler} The permission middleware.
+ */
+
+const { errorMessages, permissions } = require('../config');
+const logger = require('../utils/logger');
+
+const hasPermission = (user, action) =>
+  !!user && (permissions[action] || []).includes(user.role);
+
+const isReportOwner = (user, report) => {
+  if (!user) return false;
+  if (report.reporterId !== undefined) return report.reporterId === user.id;
+  return report.reporter === user.username;
+};
+
+function requirePermission(
+  action,
+  message = errorMessages.onlyAdminsCanAccess
+) {
+  return (req, res, next) => {
+    if (hasPermission(req.user, action)) return next();
+
+    logger.warn('Permission denied', {
+      user: req.user?.username,
+      role: req.user?.role,
+      action,
+      url: req.originalUrl
+    });
+    return res.status(403).json({
+      error: message,
+      details: `Missing permission: ${action}`
+    });
+  };
+}
+
+module.exports = { hasPermission, isReportOwner, requirePermission };
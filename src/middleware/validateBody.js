@@ -0,0 +1,59 @@
+/**
+ * Middleware factory that validates `req.body` against a schema from `config/schemas`.
+ *
+ * Invalid bodies are rejected with 400, bodies containing fields the user may not set with 403.
+ * Both use the same structure:
+ *
+ *   { error: string, details: [{ field: string, message: string }] }
+ *
+ * On success `req.body` is replaced with the cleaned body. For schemas with permission-restricted
+ * fields it must run after `verifyToken` (or `optionalVerifyToken`).
+ *
+ * @module middleware/validateBody
+ * @requires ../utils/validation
+ * @requires ../utils/logger
+ * @requires ../config
+ */
+
+/**
+ * Creates body validation middleware for a schema.
+ *
+ * @function
+ * @param {Object<string, Object>} schema - The field rules (see `config/schemas`).
+ * @returns {import('express').RequestHandler} The validation middleware.
+ */
+
+const { validate } = require('../utils/validation');
+const logger = require('../utils/logger');
+const { errorMessages } = require('../config');
+
+const validateBody = schema => (req, res, next) => {
+  const { value, errors, forbidden } = validate(schema, req.body, req.user);
+
+  if (errors.length) {
+    logger.warn('Request body validation failed', {
+      path: req.originalUrl,
+      errors
+    });
+    return res.status(400).json({
+      error: errorMessages.validationFailed,
+      details: errors
+    });
+  }
+
+  if (forbidden.length) {
+    logger.warn('Unauthorized field update attempt', {
+      user: req.user?.username,
+      fields: forbidden.map(entry => entry.field)
+    });
+    return res.status(403).json({
+      error: errorMessages.unauthorizedFieldUpdate,
+      details: forbidden
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+module.exports = validateBody;
@@ -3,7 +3,7 @@
  *
  * Extracts the token from the 'Authorization' header, verifies it using the secret key,
  * and attaches the decoded user information to the request object. If the token is missing
- * or invalid, responds with a 403 status and an appropriate error message.
+ * or invalid, or its session has been revoked, responds with a 403 status and an appropriate error message.
  *
  * @param {import('express').Request} req - Express request object.
  * @param {import('express').Response} res - Express response object.
@@ -13,7 +13,8 @@
 
 const jwt = require('jsonwebtoken');
 const { env, errorMessages } = require('../config');
-const { getDatabase } = require('../utils/db');
+const { getRepository } = require('../utils/db');
+const { isSessionActive } = require('../utils/sessions');
 const { securityHeaders } = require('./securityHeaders');
 
 module.exports = function verifyToken(req, res, next) {
@@ -37,8 +38,12 @@ module.exports = function verifyToken(req, res, next) {
         if (err)
           return res.status(403).json({ error: errorMessages.invalidToken });
 
-        const blockedTokens = getDatabase('blockedTokens');
-        if (blockedTokens[decoded.jti]) {
+        if (getRepository('blockedTokens').get(decoded.jti)) {
+          return res.status(403).json({ error: errorMessages.tokenRevoked });
+        }
+
+        // Tokens issued before sessions existed carry no `sid`
+        if (decoded.sid && !isSessionActive(decoded.sid)) {
           return res.status(403).json({ error: errorMessages.tokenRevoked });
         }
 
@@ -0,0 +1,100 @@
+/**
+ * Migration 1: normalizes users and reports that were stored by older versions.
+ *
+ * Users:
+ * - `dateCreated` is set to null where it was never recorded.
+ * - `approved` becomes a boolean and a missing `role` becomes 'user'.
+ *
+ * Reports (every report type):
+ * - `id` becomes a number, taken from the collection key when missing.
+ * - Fields added over time get their defaults: `reason`, `additionalInfo`, `proofs`,
+ *   `statusReason`, `approved`, `statusChangedAt`.
+ * - `canonicalKey` is computed from `url` where possible (see `utils/shUrl`).
+ * - `reportedAt` falls back to the start of `dateReported`.
+ * - `reporterId` becomes null. Older versions took `reporter` from the request body, even from
+ *   logged-in users, so the name does not prove who submitted a report. Linking it to the account
+ *   of that name would let anyone who typed it edit the report and read its comments and
+ *   evidence. Migrated reports therefore belong to no one; staff can still manage them.
+ *
+ * Values that are already present are left alone, so running it again changes nothing.
+ *
+ * @module migrations/001-normalizeRecords
+ * @requires ../utils/db
+ * @requires ../utils/reportTypes
+ * @requires ../utils/shUrl
+ */
+
+const { getRepository, transaction } = require('../utils/db');
+const { reportTypeNames } = require('../utils/reportTypes');
+const { getCanonicalKey } = require('../utils/shUrl');
+
+const reportDefaults = {
+  reason: '',
+  additionalInfo: '',
+  statusReason: null
+};
+
+const normalizeUsers = () => {
+  const users = getRepository('users');
+  let changed = 0;
+
+  Object.entries(users.getAll()).forEach(([id, user]) => {
+    const before = JSON.stringify(user);
+    if (user.dateCreated === undefined) user.dateCreated = null;
+    if (typeof user.approved !== 'boolean') user.approved = !!user.approved;
+    if (!user.role) user.role = 'user';
+    if (JSON.stringify(user) === before) return;
+
+    users.update(id, user);
+    changed++;
+  });
+
+  return changed;
+};
+
+const normalizeReports = reportType => {
+  const reports = getRepository(reportType);
+  let changed = 0;
+
+  Object.entries(reports.getAll()).forEach(([key, report]) => {
+    const before = JSON.stringify(report);
+
+    report.id = Number(report.id ?? key);
+    Object.entries(reportDefaults).forEach(([field, value]) => {
+      if (report[field] === undefined) report[field] = value;
+    });
+    if (!Array.isArray(report.proofs)) report.proofs = [];
+    if (typeof report.approved !== 'boolean') {
+      report.approved = !!report.approved;
+    }
+    if (!report.statusChangedAt) report.statusChangedAt = {};
+    const canonicalKey = getCanonicalKey(reportType, report);
+    if (canonicalKey) report.canonicalKey = canonicalKey;
+    if (!report.reportedAt && report.dateReported) {
+      report.reportedAt = `${report.dateReported}T00:00:00.000Z`;
+    }
+    if (report.reporterId === undefined) report.reporterId = null;
+
+    if (JSON.stringify(report) === before) return;
+
+    reports.update(key, report);
+    changed++;
+  });
+
+  return changed;
+};
+
+module.exports = {
+  version: 1,
+  name: 'normalizeRecords',
+  up: () =>
+    transaction(() => ({
+      users: normalizeUsers(),
+      ...Object.fromEntries(
+        reportTypeNames.map(reportType => [
+          reportType,
+          normalizeReports(reportType)
+        ])
+      )
+    }))
+};
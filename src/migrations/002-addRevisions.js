@@ -0,0 +1,57 @@
+/**
+ * Migration 2: gives every report a `revision` (see `utils/revision`).
+ *
+ * Reports stored before revisions existed start at 1, as does every report in the shadow queue
+ * (see `utils/ipBlocklist`). Reports that already have one keep it, so running it again changes
+ * nothing.
+ *
+ * @module migrations/002-addRevisions
+ * @requires ../utils/db
+ * @requires ../utils/reportTypes
+ */
+
+const { getRepository, transaction } = require('../utils/db');
+const { reportTypeNames } = require('../utils/reportTypes');
+
+const addRevisions = reportType => {
+  const reports = getRepository(reportType);
+  let changed = 0;
+
+  Object.entries(reports.getAll()).forEach(([key, report]) => {
+    if (report.revision !== undefined) return;
+
+    reports.update(key, { revision: 1 });
+    changed++;
+  });
+
+  return changed;
+};
+
+const addShadowedRevisions = () => {
+  const shadowQueue = getRepository('shadowQueue');
+  let changed = 0;
+
+  Object.entries(shadowQueue.getAll()).forEach(([key, entry]) => {
+    if (!entry.report || entry.report.revision !== undefined) return;
+
+    shadowQueue.update(key, { report: { ...entry.report, revision: 1 } });
+    changed++;
+  });
+
+  return changed;
+};
+
+module.exports = {
+  version: 2,
+  name: 'addRevisions',
+  up: () =>
+    transaction(() => ({
+      ...Object.fromEntries(
+        reportTypeNames.map(reportType => [
+          reportType,
+          addRevisions(reportType)
+        ])
+      ),
+      shadowQueue: addShadowedRevisions()
+    }))
+};
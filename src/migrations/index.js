@@ -0,0 +1,119 @@
+/**
+ * Data migrations.
+ *
+ * The schema version of the data is stored in the 'meta' collection under `schema`, together
+ * with the history of applied migrations. On startup (see `bootstrap`) and after a restore (see
+ * `routes/admin/backups`), every migration newer than that version is applied in order. A
+ * 'pre-migration' snapshot (see `utils/backup`) is taken before the first one, and the version is
+ * saved after each migration so a failure never re-applies the ones that succeeded.
+ *
+ * Migrations live in this directory as `NNN-name.js` and export `{ version, name, up }`. `up()`
+ * must be idempotent (running it on already migrated data changes nothing), should run in a
+ * `transaction` (see `utils/db`) so a failure leaves nothing half done, and may return a summary
+ * that is logged and kept in the history. Add new ones to the end of `migrations`.
+ *
+ * @module migrations
+ * @requires ../utils/db
+ * @requires ../utils/backup
+ * @requires ../utils/logger
+ */
+
+/**
+ * The schema version the code expects: the version of the newest migration.
+ * @type {number}
+ */
+
+/**
+ * Returns the stored schema version.
+ *
+ * @function
+ * @returns {number} The version of the last applied migration, or 0 for data that was never migrated.
+ */
+
+/**
+ * Applies every pending migration in order.
+ *
+ * @function
+ * @param {Object} [options]
+ * @param {string|null} [options.triggeredBy] - The user whose action started the migration, if any.
+ * @returns {{ from: number, to: number, applied: { version: number, name: string }[], snapshot: Object|null }}
+ *   The versions before and after, the applied migrations and the 'pre-migration' snapshot, if one was taken.
+ * @throws {Error} If a migration fails. Migrations applied before it stay applied.
+ */
+
+const { getRepository } = require('../utils/db');
+const { createSnapshot } = require('../utils/backup');
+const logger = require('../utils/logger');
+
+const migrations = [
+  require('./001-normalizeRecords'),
+  require('./002-addRevisions')
+];
+
+const latestVersion = migrations[migrations.length - 1].version;
+
+const meta = getRepository('meta');
+
+const getSchemaVersion = () => meta.get('schema')?.version ?? 0;
+
+const saveSchemaVersion = (migration, summary) => {
+  const previous = meta.get('schema');
+  const appliedAt = new Date().toISOString();
+  const schema = {
+    version: migration.version,
+    updatedAt: appliedAt,
+    history: [
+      ...(previous?.history || []),
+      { version: migration.version, name: migration.name, appliedAt, summary }
+    ]
+  };
+
+  if (previous) meta.update('schema', schema);
+  else meta.insert('schema', schema);
+};
+
+const runMigrations = ({ triggeredBy = null } = {}) => {
+  const from = getSchemaVersion();
+  const pending = migrations.filter(migration => migration.version > from);
+
+  if (!pending.length) {
+    return { from, to: from, applied: [], snapshot: null };
+  }
+
+  logger.info('Applying data migrations', {
+    from,
+    to: latestVersion,
+    pending: pending.map(migration => migration.name)
+  });
+
+  const snapshot = createSnapshot({
+    reason: 'pre-migration',
+    createdBy: triggeredBy
+  });
+
+  const applied = [];
+  for (const migration of pending) {
+    try {
+      const summary = migration.up() ?? null;
+      saveSchemaVersion(migration, summary);
+      applied.push({ version: migration.version, name: migration.name });
+      logger.info('Migration applied', {
+        version: migration.version,
+        name: migration.name,
+        summary
+      });
+    } catch (error) {
+      logger.error('Migration failed', {
+        version: migration.version,
+        name: migration.name,
+        error: error.message,
+        snapshotId: snapshot.id
+      });
+      throw error;
+    }
+  }
+
+  return { from, to: getSchemaVersion(), applied, snapshot };
+};
+
+module.exports = { latestVersion, getSchemaVersion, runMigrations };
@@ -0,0 +1,92 @@
+/**
+ * @module routes/backups
+ * @description Express router for database snapshots (see `utils/backup`).
+ * All routes require the 'backup.manage' permission.
+ *
+ * Routes:
+ * - GET /             : List snapshots, newest first, with their `reason` and `size` in bytes.
+ * - POST /            : Take a snapshot now.
+ * - GET /:id          : Download a snapshot as JSON.
+ * - POST /:id/restore : Replace every collection with the snapshot. A 'pre-restore' snapshot of the
+ *                       current data is taken first. Snapshots with an unexpected shape are rejected with 400.
+ *                       Snapshots from an older schema version are migrated (see `migrations`) right after;
+ *                       the response includes the result as `migrations`.
+ *
+ * Restoring also restores the `sessions` collection, so sessions created after the snapshot,
+ * including the admin's own, stop working.
+ *
+ * @requires express
+ * @requires ../../utils/logger
+ * @requires ../../utils/backup
+ * @requires ../../migrations
+ * @requires ../../middleware/verifyToken
+ * @requires ../../middleware/requirePermission
+ * @requires ../../config
+ */
+
+const logger = require('../../utils/logger');
+const express = require('express');
+const {
+  createSnapshot,
+  listSnapshots,
+  getSnapshotPath,
+  restoreSnapshot
+} = require('../../utils/backup');
+const { runMigrations } = require('../../migrations');
+const verifyToken = require('../../middleware/verifyToken');
+const { requirePermission } = require('../../middleware/requirePermission');
+const { errorMessages } = require('../../config');
+
+const router = express.Router();
+
+router.use(verifyToken, requirePermission('backup.manage'));
+
+router.get('/', (req, res) => {
+  res.json(listSnapshots());
+});
+
+router.post('/', (req, res) => {
+  const snapshot = createSnapshot({
+    reason: 'manual',
+    createdBy: req.user.username
+  });
+  res.status(201).json(snapshot);
+});
+
+router.get('/:id', (req, res, next) => {
+  const filePath = getSnapshotPath(req.params.id);
+  if (!filePath) {
+    return res.status(404).json({ error: errorMessages.snapshotNotFound });
+  }
+
+  logger.info('Snapshot downloaded', {
+    snapshotId: req.params.id,
+    downloadedBy: req.user.username
+  });
+  res.download(filePath, `msga-${req.params.id}.json`, err => {
+    if (err && !res.headersSent) next(err);
+  });
+});
+
+router.post('/:id/restore', (req, res) => {
+  const result = restoreSnapshot(req.params.id, req.user.username);
+
+  if (result.error === 'notFound') {
+    return res.status(404).json({ error: errorMessages.snapshotNotFound });
+  }
+  if (result.error === 'invalid') {
+    logger.warn('Snapshot restore rejected', {
+      snapshotId: req.params.id,
+      details: result.details
+    });
+    return res.status(400).json({
+      error: errorMessages.invalidSnapshot,
+      details: result.details
+    });
+  }
+
+  const migrations = runMigrations({ triggeredBy: req.user.username });
+  res.json({ ...result, migrations });
+});
+
+module.exports = router;
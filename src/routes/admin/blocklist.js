@@ -0,0 +1,188 @@
+/**
+ * @module routes/blocklist
+ * @description Express router for the submission blocklist and the shadow queue.
+ * All routes require the 'blocklist.manage' permission.
+ *
+ * Routes:
+ * - GET /                      : List blocklist entries.
+ * - POST /                     : Block an IP address or CIDR range. Body: `cidr`, `action` ('reject' or 'shadow'), optional `reason`.
+ * - DELETE /:id                : Remove a blocklist entry.
+ * - GET /shadowed              : List shadow-queued submissions, oldest first.
+ * - POST /shadowed/:id/release : Move a shadow-queued submission into its collection as a normal report.
+ * - DELETE /shadowed/:id       : Discard a shadow-queued submission.
+ *
+ * See `utils/ipBlocklist` for what 'reject' and 'shadow' do.
+ *
+ * @requires express
+ * @requires ../../utils/logger
+ * @requires ../../utils/db
+ * @requires ../../utils/ipBlocklist
+ * @requires ../../utils/shUrl
+ * @requires ../../utils/history
+ * @requires ../../utils/webhookNotifier
+ * @requires ../../utils/reportTypes
+ * @requires ../../middleware/verifyToken
+ * @requires ../../middleware/requirePermission
+ * @requires ../../config
+ */
+
+const logger = require('../../utils/logger');
+const express = require('express');
+const { getRepository, transaction } = require('../../utils/db');
+const { parseCidr } = require('../../utils/ipBlocklist');
+const { findByCanonicalKey } = require('../../utils/shUrl');
+const { diffRecord, recordHistory } = require('../../utils/history');
+const { sendToAllWebhooks } = require('../../utils/webhookNotifier');
+const { getReportType } = require('../../utils/reportTypes');
+const verifyToken = require('../../middleware/verifyToken');
+const { requirePermission } = require('../../middleware/requirePermission');
+const { errorMessages } = require('../../config');
+
+const router = express.Router();
+
+const blocklist = getRepository('blocklist');
+const shadowQueue = getRepository('shadowQueue');
+
+const blockActions = ['reject', 'shadow'];
+
+router.use(verifyToken, requirePermission('blocklist.manage'));
+
+router.get('/', (req, res) => {
+  res.json(Object.values(blocklist.getAll()));
+});
+
+router.post('/', (req, res) => {
+  const { cidr, action, reason } = req.body;
+
+  const range = parseCidr(cidr);
+  if (!range) {
+    return res.status(400).json({
+      error: errorMessages.invalidCidr,
+      details:
+        "Use an address ('203.0.113.7') or a CIDR range ('203.0.113.0/24')"
+    });
+  }
+
+  if (!blockActions.includes(action)) {
+    return res.status(400).json({
+      error: errorMessages.invalidBlockAction,
+      details: `Allowed actions: ${blockActions.join(', ')}`
+    });
+  }
+
+  if (blocklist.query({ cidr: range.cidr }).length > 0) {
+    return res.status(409).json({ error: errorMessages.blocklistEntryExists });
+  }
+
+  const id = blocklist.nextId();
+  const entry = blocklist.insert(id, {
+    id,
+    cidr: range.cidr,
+    action,
+    reason: typeof reason === 'string' ? reason.trim() : '',
+    createdBy: req.user.username,
+    created: new Date().toISOString()
+  });
+
+  logger.info('Blocklist entry added', {
+    entryId: id,
+    cidr: range.cidr,
+    action,
+    by: req.user.username
+  });
+  res.status(201).json(entry);
+});
+
+router.get('/shadowed', (req, res) => {
+  res.json(
+    Object.values(shadowQueue.getAll()).sort((a, b) =>
+      a.created.localeCompare(b.created)
+    )
+  );
+});
+
+router.post('/shadowed/:id/release', (req, res) => {
+  const entry = shadowQueue.get(req.params.id);
+  if (!entry) {
+    return res
+      .status(404)
+      .json({ error: errorMessages.shadowedReportNotFound });
+  }
+
+  const { reportType } = entry;
+  const type = getReportType(reportType);
+  const repository = getRepository(reportType);
+  const reports = repository.getAll();
+
+  const duplicate = findByCanonicalKey(
+    reportType,
+    reports,
+    entry.report.canonicalKey
+  );
+  if (duplicate) {
+    return res.status(409).json({
+      error: errorMessages[type.errors.exists],
+      details: `This report already exists (ID ${duplicate.id}). Discard the shadowed copy instead.`
+    });
+  }
+
+  const id = repository.nextId();
+  const report = { ...entry.report, id };
+
+  transaction(() => {
+    repository.insert(id, report);
+    shadowQueue.delete(entry.id);
+    recordHistory(reportType, id, {
+      action: 'released',
+      changedBy: req.user.username,
+      changes: diffRecord({}, report)
+    });
+  });
+
+  sendToAllWebhooks(type.events.created, {
+    ...report,
+    updatedBy: req.user.username
+  });
+
+  logger.info('Shadow-queued report released', {
+    shadowId: entry.id,
+    reportType,
+    reportId: id,
+    by: req.user.username
+  });
+  res.status(201).json(report);
+});
+
+router.delete('/shadowed/:id', (req, res) => {
+  const { id } = req.params;
+
+  if (!shadowQueue.delete(id)) {
+    return res
+      .status(404)
+      .json({ error: errorMessages.shadowedReportNotFound });
+  }
+
+  logger.info('Shadow-queued report discarded', {
+    shadowId: id,
+    by: req.user.username
+  });
+  res.json({ success: true });
+});
+
+router.delete('/:id', (req, res) => {
+  const { id } = req.params;
+
+  if (!blocklist.delete(id)) {
+    return res
+      .status(404)
+      .json({ error: errorMessages.blocklistEntryNotFound });
+  }
+
+  logger.info('Blocklist entry removed', {
+    entryId: id,
+    by: req.user.username
+  });
+  res.json({ success: true });
+});
+
+module.exports = router;
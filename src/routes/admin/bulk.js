@@ -0,0 +1,344 @@
+/**
+ * @module routes/bulk
+ * @description Express router for bulk export and import of reports.
+ *
+ * Routes:
+ * - GET /:reportType/export  : Download the collection, without deleted reports, as JSON (default) or CSV (`?format=csv`).
+ *                              Requires the 'report.export' permission.
+ * - POST /:reportType/import : Create reports from a JSON array of rows or CSV text (`Content-Type: text/csv`)
+ *                              with a header row. Requires the 'report.import' permission.
+ *
+ * `reportType` is a report type from `config/reportTypes`, e.g. 'works'.
+ *
+ * Import rows use the report fields: `url` (required), `title`, `status`, `reporter`, `reason`,
+ * `proofs` (array, or one proof per line in CSV), `additionalInfo` and `dateReported`. Other fields
+ * (e.g. the extra columns of an export) are ignored. Every row is validated like `POST /works` and the
+ * other report routes (`reportCreate` in `config/schemas`), and the response lists for each row whether it
+ * was `created`, `skipped` (duplicate of an existing report or an earlier row) or `invalid`.
+ * A row's `reporter` is linked to the user with that name, if there is one.
+ * With `?dryRun=true` nothing is stored. A successful import sends one `reports_imported` webhook
+ * instead of one per report.
+ *
+ * @requires express
+ * @requires ../../utils/logger
+ * @requires ../../utils/db
+ * @requires ../../utils/csv
+ * @requires ../../utils/shUrl
+ * @requires ../../utils/history
+ * @requires ../../utils/statusWorkflow
+ * @requires ../../utils/webhookNotifier
+ * @requires ../../utils/reportTypes
+ * @requires ../../utils/trash
+ * @requires ../../utils/validation
+ * @requires ../../middleware/verifyToken
+ * @requires ../../middleware/requirePermission
+ * @requires ../../config
+ * @requires ../../config/schemas
+ */
+
+const logger = require('../../utils/logger');
+const express = require('express');
+const { getRepository, transaction } = require('../../utils/db');
+const { toCsvLine, parseCsv } = require('../../utils/csv');
+const { normalizeReportUrl, getCanonicalKey } = require('../../utils/shUrl');
+const { diffRecord, recordHistory } = require('../../utils/history');
+const { markStatusChange } = require('../../utils/statusWorkflow');
+const { sendToAllWebhooks } = require('../../utils/webhookNotifier');
+const { isReportType, getReportType } = require('../../utils/reportTypes');
+const { withoutDeleted } = require('../../utils/trash');
+const { validate } = require('../../utils/validation');
+const verifyToken = require('../../middleware/verifyToken');
+const { requirePermission } = require('../../middleware/requirePermission');
+const { errorMessages, reportStatuses } = require('../../config');
+const requestSchemas = require('../../config/schemas');
+
+const router = express.Router();
+
+const MAX_IMPORT_ROWS = 5000;
+const MAX_IMPORT_SIZE = '5mb';
+const importFields = Object.keys(requestSchemas.reportCreate);
+const exportColumns = [
+  'id',
+  'title',
+  'url',
+  'canonicalKey',
+  'status',
+  'statusReason',
+  'reporter',
+  'reason',
+  'proofs',
+  'additionalInfo',
+  'dateReported',
+  'approved'
+];
+
+// JSON imports skip the global parser (see `middleware/index`), so both formats share the limit
+const importBodies = [
+  express.json({ limit: MAX_IMPORT_SIZE }),
+  express.text({ type: 'text/csv', limit: MAX_IMPORT_SIZE })
+];
+
+const canExport = requirePermission('report.export');
+const canImport = requirePermission('report.import');
+
+router.use(verifyToken);
+
+router.param('reportType', (req, res, next, reportType) => {
+  if (!isReportType(reportType)) {
+    return res.status(400).json({ error: errorMessages.invalidReportType });
+  }
+  next();
+});
+
+router.get('/:reportType/export', canExport, (req, res) => {
+  const { reportType } = req.params;
+  const format = req.query.format || 'json';
+
+  if (!['json', 'csv'].includes(format)) {
+    return res.status(400).json({
+      error: errorMessages.invalidExportFormat,
+      details: 'Use ?format=json or ?format=csv'
+    });
+  }
+
+  const reports = Object.values(
+    withoutDeleted(getRepository(reportType).getAll())
+  ).sort((a, b) => a.id - b.id);
+  const date = new Date().toISOString().split('T')[0];
+
+  logger.info('Exporting reports', {
+    reportType,
+    format,
+    count: reports.length,
+    exportedBy: req.user.username
+  });
+
+  res.attachment(`${reportType}-${date}.${format}`);
+
+  if (format === 'csv') {
+    res.type('text/csv; charset=utf-8');
+    res.write(toCsvLine(exportColumns));
+    reports.forEach(report => {
+      res.write(
+        toCsvLine(
+          exportColumns.map(column =>
+            column === 'proofs'
+              ? (report.proofs || []).join('\n')
+              : report[column]
+          )
+        )
+      );
+    });
+    return res.end();
+  }
+
+  res.type('application/json; charset=utf-8');
+  res.write('[');
+  reports.forEach((report, i) => {
+    res.write((i > 0 ? ',\n' : '\n') + JSON.stringify(report));
+  });
+  res.end('\n]\n');
+});
+
+// Reads the import rows from a JSON array or CSV text
+const readImportRows = req => {
+  if (req.is('text/csv')) {
+    if (typeof req.body !== 'string') return { error: 'Empty CSV body' };
+    return parseCsv(req.body);
+  }
+
+  if (!Array.isArray(req.body)) {
+    return { error: 'Body must be a JSON array of rows' };
+  }
+  if (req.body.some(row => !row || typeof row !== 'object')) {
+    return { error: 'Every row must be an object' };
+  }
+  return { rows: req.body };
+};
+
+// Picks the submission fields of a row, with CSV proofs split into one per line
+const toSubmission = row => {
+  const submission = {};
+  importFields.forEach(field => {
+    if (row[field] !== undefined) submission[field] = row[field];
+  });
+
+  const { proofs } = submission;
+  if (typeof proofs === 'string') submission.proofs = proofs.split(/\r?\n/);
+  if (Array.isArray(submission.proofs)) {
+    submission.proofs = submission.proofs.map(proof =>
+      typeof proof === 'string' ? proof.trim() : proof
+    );
+  }
+  return submission;
+};
+
+router.post(
+  '/:reportType/import',
+  canImport,
+  importBodies.map(parseBody => (req, res, next) => {
+    parseBody(req, res, err => {
+      if (err?.type === 'entity.too.large') {
+        return res.status(413).json({ error: errorMessages.importTooLarge });
+      }
+      next(err);
+    });
+  }),
+  (req, res) => {
+    const { reportType } = req.params;
+    const dryRun = req.query.dryRun === 'true';
+    const { label } = getReportType(reportType);
+
+    const { rows, error } = readImportRows(req);
+    if (error) {
+      return res.status(400).json({
+        error: errorMessages.invalidImportBody,
+        details: error
+      });
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(413).json({
+        error: errorMessages.importTooLarge,
+        details: `At most ${MAX_IMPORT_ROWS} rows can be imported at once`
+      });
+    }
+
+    const repository = getRepository(reportType);
+    const reports = repository.getAll();
+    let nextId = repository.nextId();
+    const today = new Date().toISOString().split('T')[0];
+    const keysInBatch = {};
+    const existingKeys = new Map(
+      Object.values(withoutDeleted(reports)).map(report => [
+        getCanonicalKey(reportType, report),
+        report.id
+      ])
+    );
+    const userIds = new Map(
+      Object.entries(getRepository('users').getAll()).map(([id, user]) => [
+        user.username,
+        Number(id)
+      ])
+    );
+    const created = [];
+
+    const results = rows.map((row, i) => {
+      const rowNumber = i + 1;
+      const { value, errors } = validate(
+        requestSchemas.reportCreate,
+        toSubmission(row),
+        req.user
+      );
+      const url = typeof row.url === 'string' ? row.url.trim() : undefined;
+      if (errors.length) {
+        return {
+          row: rowNumber,
+          result: 'invalid',
+          url,
+          error: errors
+            .map(({ field, message }) => `${field}: ${message}`)
+            .join('; ')
+        };
+      }
+
+      const normalized = normalizeReportUrl(reportType, url);
+      if (!normalized) {
+        return { row: rowNumber, result: 'invalid', url, error: 'Invalid URL' };
+      }
+
+      const status = row.status || 'in_progress';
+      if (!reportStatuses[reportType].includes(status)) {
+        return {
+          row: rowNumber,
+          result: 'invalid',
+          url,
+          error: `Unknown status '${status}'`
+        };
+      }
+
+      if (existingKeys.has(normalized.canonicalKey)) {
+        return {
+          row: rowNumber,
+          result: 'skipped',
+          url,
+          reason: `Duplicate of report ${existingKeys.get(normalized.canonicalKey)}`
+        };
+      }
+      if (keysInBatch[normalized.canonicalKey]) {
+        return {
+          row: rowNumber,
+          result: 'skipped',
+          url,
+          reason: `Duplicate of row ${keysInBatch[normalized.canonicalKey]}`
+        };
+      }
+      keysInBatch[normalized.canonicalKey] = rowNumber;
+
+      const id = nextId++;
+      const reporter = value.reporter || req.user.username;
+      const report = {
+        id,
+        title: value.title || `Reported ${label} ${id}`,
+        url: normalized.url,
+        canonicalKey: normalized.canonicalKey,
+        status,
+        reporter,
+        reporterId: userIds.get(reporter) ?? null,
+        reason: value.reason || '',
+        proofs: value.proofs || [],
+        additionalInfo: value.additionalInfo || '',
+        dateReported: /^\d{4}-\d{2}-\d{2}$/.test(row.dateReported)
+          ? row.dateReported
+          : today,
+        reportedAt: new Date().toISOString(),
+        approved: true,
+        revision: 1
+      };
+      markStatusChange(report);
+      created.push(report);
+
+      return { row: rowNumber, result: 'created', url, id: dryRun ? null : id };
+    });
+
+    const summary = {
+      total: results.length,
+      created: created.length,
+      skipped: results.filter(row => row.result === 'skipped').length,
+      invalid: results.filter(row => row.result === 'invalid').length
+    };
+
+    if (!dryRun && created.length > 0) {
+      transaction(() =>
+        created.forEach(report => {
+          repository.insert(report.id, report);
+          recordHistory(reportType, report.id, {
+            action: 'imported',
+            changedBy: req.user.username,
+            changes: diffRecord({}, report)
+          });
+        })
+      );
+
+      sendToAllWebhooks('reports_imported', {
+        title: `${summary.created} ${reportType} imported`,
+        reportType,
+        ...summary,
+        importedBy: req.user.username
+      });
+    }
+
+    logger.info(dryRun ? 'Import dry run finished' : 'Import finished', {
+      reportType,
+      ...summary,
+      importedBy: req.user.username
+    });
+
+    res.status(dryRun || created.length === 0 ? 200 : 201).json({
+      dryRun,
+      summary,
+      rows: results
+    });
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,134 @@
+/**
+ * @module routes/trash
+ * @description Express router for deleted reports (see `utils/trash`).
+ * All routes require the 'report.trash' permission.
+ *
+ * Routes:
+ * - GET /                        : List deleted reports, most recently deleted first. `?type=works` limits it to one report type.
+ * - POST /:reportType/:id/restore: Restore a deleted report. Fails with 409 if another report now covers the same URL.
+ * - DELETE /                     : Permanently remove reports deleted more than `env.trashRetentionDays` ago,
+ *                                  with their evidence. `?type=works` limits it to one report type.
+ *
+ * Each listed report carries its `reportType` and `purgeAfter`. Restoring sends the type's
+ * `restored` webhook event (e.g. `work_restored`).
+ *
+ * @requires express
+ * @requires ../../utils/logger
+ * @requires ../../utils/db
+ * @requires ../../utils/trash
+ * @requires ../../utils/shUrl
+ * @requires ../../utils/history
+ * @requires ../../utils/revision
+ * @requires ../../utils/webhookNotifier
+ * @requires ../../utils/reportTypes
+ * @requires ../../middleware/verifyToken
+ * @requires ../../middleware/requirePermission
+ * @requires ../../config
+ */
+
+const logger = require('../../utils/logger');
+const express = require('express');
+const { getRepository, transaction } = require('../../utils/db');
+const { isDeleted, getTrash, purgeExpired } = require('../../utils/trash');
+const { getCanonicalKey, findByCanonicalKey } = require('../../utils/shUrl');
+const { diffRecord, recordHistory } = require('../../utils/history');
+const { bumpRevision } = require('../../utils/revision');
+const { sendToAllWebhooks } = require('../../utils/webhookNotifier');
+const {
+  reportTypeNames,
+  isReportType,
+  getReportType
+} = require('../../utils/reportTypes');
+const verifyToken = require('../../middleware/verifyToken');
+const { requirePermission } = require('../../middleware/requirePermission');
+const { errorMessages } = require('../../config');
+
+const router = express.Router();
+
+router.use(verifyToken, requirePermission('report.trash'));
+
+// Resolves `?type=` to the report types to work on, or responds with 400
+const getRequestedTypes = (req, res) => {
+  const { type } = req.query;
+  if (type === undefined) return reportTypeNames;
+  if (!isReportType(type)) {
+    res.status(400).json({ error: errorMessages.invalidReportType });
+    return null;
+  }
+  return [type];
+};
+
+router.get('/', (req, res) => {
+  const reportTypes = getRequestedTypes(req, res);
+  if (!reportTypes) return;
+
+  res.json(getTrash(reportTypes));
+});
+
+router.post('/:reportType/:id/restore', (req, res) => {
+  const type = getReportType(req.params.reportType);
+  if (!type) {
+    return res.status(400).json({ error: errorMessages.invalidReportType });
+  }
+
+  const repository = getRepository(type.name);
+  const reports = repository.getAll();
+  const report = reports[req.params.id];
+  if (!report || !isDeleted(report)) {
+    return res.status(404).json({ error: errorMessages.reportNotInTrash });
+  }
+
+  const canonicalKey = getCanonicalKey(type.name, report);
+  const duplicate =
+    canonicalKey &&
+    findByCanonicalKey(type.name, reports, canonicalKey, report.id);
+  if (duplicate) {
+    return res.status(409).json({
+      error: errorMessages[type.errors.exists],
+      details: `Report ${duplicate.id} was created for the same URL after this one was deleted. Delete it first.`
+    });
+  }
+
+  const before = { ...report };
+  delete report.deletedAt;
+  delete report.deletedBy;
+  delete report.deletedReason;
+  bumpRevision(report);
+
+  transaction(() => {
+    repository.update(req.params.id, {
+      deletedAt: undefined,
+      deletedBy: undefined,
+      deletedReason: undefined,
+      revision: report.revision
+    });
+    recordHistory(type.name, report.id, {
+      action: 'restored',
+      changedBy: req.user.username,
+      changes: diffRecord(before, report)
+    });
+  });
+
+  sendToAllWebhooks(type.events.restored, {
+    ...report,
+    updatedBy: req.user.username
+  });
+
+  logger.info('Report restored from the trash', {
+    reportType: type.name,
+    reportId: report.id,
+    restoredBy: req.user.username
+  });
+
+  res.json(report);
+});
+
+router.delete('/', (req, res) => {
+  const reportTypes = getRequestedTypes(req, res);
+  if (!reportTypes) return;
+
+  const purged = purgeExpired(reportTypes, req.user.username);
+  res.json({ purged, count: purged.length });
+});
+
+module.exports = router;
@@ -5,40 +5,109 @@
  * Endpoints:
  * - GET /users: Fetch all users (admin only).
  * - PUT /users/:id: Update user approval status (admin only).
+ * - PUT /users/:id/role: Change a user's role to 'user', 'moderator' or 'admin' (admin only).
+ *   The user's sessions are revoked so the new role applies on their next login.
  * - DELETE /users/:id: Delete a user (admin only, cannot delete self or other admins).
+ * - POST /users/:id/logout: Force-logout a user by revoking all of their sessions (admin only).
+ * - GET /users/delete-requests: List pending account deletion requests (admin only).
+ * - PUT /users/delete-requests/:id: Approve or reject a deletion request with an optional note (admin only).
+ *   Approving deletes the user, or anonymizes them if they authored reports: the `reporter` field of
+ *   their reports (matched by `reporterId`, or by name for older reports) is rewritten and the account
+ *   is replaced by a tombstone, in one transaction. Their sessions are revoked.
  *
  * Middleware:
  * - verifyToken: Ensures the request is authenticated and attaches user info to req.user.
+ * - requirePermission: Checks the user's role against the permission map in config.
  *
  * Utilities:
  * - logger: For logging actions and events.
- * - getDatabase, setDatabase: For accessing and updating the in-memory user database.
+ * - getRepository, transaction: For reading and updating users, deletion requests and reports.
  * - errorMessages: Standardized error messages for responses.
  *
  * @requires express
- * @requires ../utils/logger
- * @requires ../utils/db
- * @requires ../middleware/verifyToken
- * @requires ../config
+ * @requires ../../utils/logger
+ * @requires ../../utils/db
+ * @requires ../../utils/sessions
+ * @requires ../../utils/history
+ * @requires ../../utils/revision
+ * @requires ../../utils/reportTypes
+ * @requires ../../middleware/verifyToken
+ * @requires ../../middleware/requirePermission
+ * @requires ../../config
  */
 
 const logger = require('../../utils/logger');
 const express = require('express');
-const { getDatabase, setDatabase } = require('../../utils/db');
+const { getRepository, transaction } = require('../../utils/db');
+const { revokeUserSessions } = require('../../utils/sessions');
+const { recordHistory } = require('../../utils/history');
+const { bumpRevision } = require('../../utils/revision');
+const { reportTypeNames } = require('../../utils/reportTypes');
 const verifyToken = require('../../middleware/verifyToken');
-const { errorMessages } = require('../../config');
+const {
+  requirePermission,
+  isReportOwner
+} = require('../../middleware/requirePermission');
+const { errorMessages, roles } = require('../../config');
 
 const router = express.Router();
 
-// ---- Fetch all users endpoint ----
-router.get('/', verifyToken, (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: errorMessages.onlyAdminsCanAccess });
-  }
+const users = getRepository('users');
+const deletionRequests = getRepository('deletionRequests');
+
+// Permission checks, see `permissions` in config
+const canListUsers = requirePermission('user.list');
+const canApproveUsers = requirePermission(
+  'user.approve',
+  errorMessages.onlyAdminsCanUpdateUsers
+);
+const canChangeRoles = requirePermission(
+  'user.role',
+  errorMessages.onlyAdminsCanUpdateUsers
+);
+const canDeleteUsers = requirePermission(
+  'user.delete',
+  errorMessages.onlyAdminsCanDelete
+);
+const canManageSessions = requirePermission('user.sessions');
+const canHandleDeletions = requirePermission('user.deletionRequests');
+
+const deletionActions = ['approve', 'reject'];
+
+// Rewrites the reporter of every report authored by the user; returns how many were changed.
+// Must run inside a transaction, so either every report is anonymized or none is.
+const anonymizeReports = (user, anonymizedName, changedBy) => {
+  let count = 0;
+
+  reportTypeNames.forEach(collection => {
+    const reports = getRepository(collection);
+
+    Object.entries(reports.getAll()).forEach(([dbKey, report]) => {
+      if (!isReportOwner(user, report)) return;
+
+      reports.update(dbKey, {
+        reporter: anonymizedName,
+        revision: bumpRevision(report)
+      });
+      count++;
+
+      recordHistory(collection, report.id, {
+        action: 'reporter_anonymized',
+        changedBy,
+        changes: {
+          reporter: { oldValue: report.reporter, newValue: anonymizedName }
+        }
+      });
+    });
+  });
+
+  return count;
+};
 
-  const users = getDatabase('users');
+// ---- Fetch all users endpoint ----
+router.get('/', verifyToken, canListUsers, (req, res) => {
   logger.info('Fetching all users', { requestingUser: req.user });
-  const result = Object.entries(users).map(([id, user]) => ({
+  const result = Object.entries(users.getAll()).map(([id, user]) => ({
     id: parseInt(id),
     username: user.username,
     shProfileURL: user.shProfileURL,
@@ -49,43 +118,68 @@ router.get('/', verifyToken, (req, res) => {
 });
 
 // ---- Update user approval status endpoint ----
-router.put('/:id', verifyToken, (req, res) => {
+router.put('/:id', verifyToken, canApproveUsers, (req, res) => {
   logger.info('Updating user approval status', {
     userId: req.params.id,
     approved: req.body.approved,
     updatedBy: req.user.id
   });
 
-  if (req.user.role !== 'admin') {
-    return res
-      .status(403)
-      .json({ error: errorMessages.onlyAdminsCanUpdateUsers });
-  }
-
   const { id } = req.params;
   const { approved } = req.body;
-  const users = getDatabase('users');
-  if (!users[id])
+  if (!users.get(id))
     return res.status(404).json({ error: errorMessages.userNotFound });
   if (approved === undefined)
     return res.status(400).json({ error: errorMessages.approvalRequired });
-  users[id].approved = approved;
-  setDatabase('users', users);
-  res.json({ id, ...users[id] });
+  res.json({ id, ...users.update(id, { approved }) });
+});
+
+// ---- Change user role endpoint ----
+router.put('/:id/role', verifyToken, canChangeRoles, (req, res) => {
+  const { id } = req.params;
+  const { role } = req.body;
+
+  if (!roles.includes(role)) {
+    return res.status(400).json({ error: errorMessages.invalidRole });
+  }
+
+  if (Number(id) === req.user.id) {
+    return res.status(400).json({ error: errorMessages.cannotChangeOwnRole });
+  }
+
+  const user = users.get(id);
+  if (!user) {
+    return res.status(404).json({ error: errorMessages.userNotFound });
+  }
+
+  const oldRole = user.role;
+  users.update(id, { role });
+
+  // Access tokens carry the role, so make the user log in again to pick it up
+  const revokedSessions = revokeUserSessions(id, 'role_changed');
+
+  logger.info('User role changed', {
+    userId: id,
+    oldRole,
+    newRole: role,
+    revokedSessions,
+    changedBy: req.user.id
+  });
+
+  const { username, shProfileURL, approved } = user;
+  res.json({ id: Number(id), username, shProfileURL, role, approved });
 });
 
 // ---- Delete user endpoint ----
-router.delete('/:id', verifyToken, (req, res) => {
+router.delete('/:id', verifyToken, canDeleteUsers, (req, res) => {
   logger.info('Attempting to delete user', {
     targetUserId: req.params.id,
     requestingUser: req.user.id
   });
 
   const userId = Number(req.params.id);
-  const users = getDatabase('users');
-  const deletionRequests = getDatabase('deletionRequests');
 
-  const userEntry = Object.entries(users).find(
+  const userEntry = Object.entries(users.getAll()).find(
     ([key]) => Number(key) === userId
   );
   if (!userEntry)
@@ -103,26 +197,21 @@ router.delete('/:id', verifyToken, (req, res) => {
       .json({ error: errorMessages.cannotDeleteOtherAdmins });
   }
 
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: errorMessages.onlyAdminsCanDelete });
-  }
+  const pendingRequest = Object.entries(deletionRequests.getAll()).find(
+    ([, reqData]) => reqData.userId === userId && reqData.status === 'pending'
+  );
+  const requestResolved = !!pendingRequest;
 
-  let requestResolved = false;
-  for (const [reqId, reqData] of Object.entries(deletionRequests)) {
-    if (reqData.userId === userId && reqData.status === 'pending') {
-      deletionRequests[reqId] = {
-        ...reqData,
+  transaction(() => {
+    users.delete(id);
+    if (pendingRequest) {
+      deletionRequests.update(pendingRequest[0], {
         status: 'resolved',
         resolvedDate: new Date().toISOString(),
         resolvedBy: req.user.id
-      };
-      requestResolved = true;
-      break;
+      });
     }
-  }
-
-  delete users[id];
-  setDatabase('users', users);
+  });
 
   logger.info('User deleted successfully', {
     deletedUserId: userId,
@@ -131,10 +220,6 @@ router.delete('/:id', verifyToken, (req, res) => {
     requestResolved
   });
 
-  if (requestResolved) {
-    setDatabase('deletionRequests', deletionRequests); // Update DB
-  }
-
   res.json({
     success: true,
     deletedId: userId,
@@ -142,14 +227,29 @@ router.delete('/:id', verifyToken, (req, res) => {
   });
 });
 
-// ---- Deletion request endpoints ----
-router.get('/delete-requests', verifyToken, (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: errorMessages.onlyAdminsCanAccess });
+// ---- Force-logout user endpoint ----
+router.post('/:id/logout', verifyToken, canManageSessions, (req, res) => {
+  const { id } = req.params;
+  const user = users.get(id);
+  if (!user) {
+    return res.status(404).json({ error: errorMessages.userNotFound });
   }
 
-  const deletionRequests = getDatabase('deletionRequests');
-  const pendingRequests = Object.entries(deletionRequests)
+  const revoked = revokeUserSessions(id, 'forced_by_admin');
+
+  logger.info('User force-logged out', {
+    userId: id,
+    username: user.username,
+    revoked,
+    revokedBy: req.user.id
+  });
+
+  res.json({ success: true, userId: Number(id), revoked });
+});
+
+// ---- Deletion request endpoints ----
+router.get('/delete-requests', verifyToken, canHandleDeletions, (req, res) => {
+  const pendingRequests = Object.entries(deletionRequests.getAll())
     .filter(([_, request]) => request.status === 'pending')
     .map(([id, request]) => ({
       id: Number(id),
@@ -162,4 +262,116 @@ router.get('/delete-requests', verifyToken, (req, res) => {
   res.json(pendingRequests);
 });
 
+router.put(
+  '/delete-requests/:id',
+  verifyToken,
+  canHandleDeletions,
+  (req, res) => {
+    const { id } = req.params;
+    const { action, note } = req.body;
+
+    if (!deletionActions.includes(action)) {
+      return res
+        .status(400)
+        .json({ error: errorMessages.invalidDeletionAction });
+    }
+
+    const request = deletionRequests.get(id);
+    if (!request) {
+      return res
+        .status(404)
+        .json({ error: errorMessages.deletionRequestNotFound });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(409).json({
+        error: errorMessages.deletionRequestNotPending,
+        details: `Request is already '${request.status}'`
+      });
+    }
+
+    const resolution = {
+      resolvedDate: new Date().toISOString(),
+      resolvedBy: req.user.id,
+      note: note || ''
+    };
+
+    if (action === 'reject') {
+      const rejected = deletionRequests.update(id, {
+        ...resolution,
+        status: 'rejected'
+      });
+
+      logger.info('Deletion request rejected', {
+        requestId: id,
+        userId: request.userId,
+        rejectedBy: req.user.id
+      });
+      return res.json({ id: Number(id), ...rejected });
+    }
+
+    const user = users.get(request.userId);
+    if (!user) {
+      return res.status(404).json({ error: errorMessages.userNotFound });
+    }
+
+    if (user.role === 'admin') {
+      return res
+        .status(403)
+        .json({ error: errorMessages.cannotDeleteOtherAdmins });
+    }
+
+    const anonymizedName = `Deleted user #${request.userId}`;
+    let anonymizedReports = 0;
+    const approvedRequest = transaction(() => {
+      anonymizedReports = anonymizeReports(
+        { id: Number(request.userId), username: user.username },
+        anonymizedName,
+        req.user.username
+      );
+      users.delete(request.userId);
+      if (anonymizedReports > 0) {
+        // Keep a tombstone so the anonymized reports still point to a known account
+        users.insert(request.userId, {
+          username: anonymizedName,
+          shProfileURL: null,
+          password: '',
+          role: 'user',
+          approved: false,
+          anonymized: true,
+          dateCreated: user.dateCreated,
+          dateAnonymized: resolution.resolvedDate
+        });
+      }
+
+      return deletionRequests.update(id, {
+        ...resolution,
+        status: 'approved',
+        outcome: anonymizedReports > 0 ? 'anonymized' : 'deleted'
+      });
+    });
+
+    const revokedSessions = revokeUserSessions(
+      request.userId,
+      'account_deleted'
+    );
+
+    logger.info('Deletion request approved', {
+      requestId: id,
+      userId: request.userId,
+      outcome: approvedRequest.outcome,
+      anonymizedReports,
+      revokedSessions,
+      approvedBy: req.user.id
+    });
+
+    res.json({
+      id: Number(id),
+      ...approvedRequest,
+      anonymizedReports,
+      revokedSessions
+    });
+  }
+);
+
 module.exports = router;
@@ -6,12 +6,13 @@
 
 /**
  * POST /login
- * Authenticates a user and returns a JWT token if successful.
+ * Authenticates a user, starts a new session and returns a short-lived access token
+ * together with a refresh token.
  *
  * @route POST /login
  * @param {string} req.body.username - The username of the user.
  * @param {string} req.body.password - The user's password.
- * @returns {Object} 200 - An object containing the JWT token and user info.
+ * @returns {Object} 200 - An object containing the access token, refresh token and user info.
  * @returns {Object} 404 - If the user is not found.
  * @returns {Object} 401 - If the password is incorrect.
  * @returns {Object} 403 - If the account is not approved.
@@ -26,13 +27,25 @@
  * @param {string} req.body.shProfileURL - The SH profile URL for the user.
  * @param {string} req.body.password - The password for the new user.
  * @returns {Object} 201 - The newly created user object.
- * @returns {Object} 400 - If required fields are missing or SH profile URL is invalid.
+ * @returns {Object} 400 - If the body does not match the `register` schema (see `config/schemas`) or the SH profile URL is invalid.
  * @returns {Object} 409 - If the username or SH profile URL already exists.
  */
 
+/**
+ * POST /refresh
+ * Exchanges a refresh token for a new access token and a new refresh token.
+ * Each refresh token can only be used once; reusing one revokes the whole session.
+ *
+ * @route POST /refresh
+ * @param {string} req.body.refreshToken - The refresh token received at login or on the last refresh.
+ * @returns {Object} 200 - An object containing the new access token and refresh token.
+ * @returns {Object} 400 - If the refresh token is missing.
+ * @returns {Object} 401 - If the refresh token is invalid, expired, revoked or reused.
+ */
+
 /**
  * POST /logout
- * Logs out the authenticated user by blocking their JWT token.
+ * Logs out the authenticated user by blocking their JWT token and revoking their session.
  *
  * @route POST /logout
  * @middleware verifyToken - Middleware to verify JWT token.
@@ -42,19 +55,25 @@
 const logger = require('../utils/logger');
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const { v4: uuidv4 } = require('uuid');
-const { getDatabase, setDatabase } = require('../utils/db');
+const { getRepository } = require('../utils/db');
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession
+} = require('../utils/sessions');
 const verifyToken = require('../middleware/verifyToken');
-const { env, errorMessages, regexPatterns } = require('../config');
+const validateBody = require('../middleware/validateBody');
+const { errorMessages, regexPatterns } = require('../config');
+const requestSchemas = require('../config/schemas');
+
+const users = getRepository('users');
 
 const router = express.Router();
 
 router.post('/login', (req, res) => {
   const { username, password } = req.body;
   logger.info('Login attempt', { username });
-  const users = getDatabase('users');
-  const userEntry = Object.entries(users).find(
+  const userEntry = Object.entries(users.getAll()).find(
     ([_, u]) => u.username === username
   );
 
@@ -69,21 +88,17 @@ router.post('/login', (req, res) => {
   if (!user.approved)
     return res.status(403).json({ error: errorMessages.accountNotApproved });
 
-  const token = jwt.sign(
-    {
-      id: Number(userId),
-      username: user.username,
-      role: user.role,
-      jti: uuidv4()
-    },
-    env.jwtSecret,
-    { expiresIn: env.jwtExpiration }
-  );
+  const { token, refreshToken, session } = createSession(userId, user, req);
 
-  logger.info('Login successful', { userId, username: user.username });
+  logger.info('Login successful', {
+    userId,
+    username: user.username,
+    sessionId: session.id
+  });
 
   res.json({
     token,
+    refreshToken,
     user: {
       id: Number(userId),
       username: user.username,
@@ -94,20 +109,16 @@ router.post('/login', (req, res) => {
   });
 });
 
-router.post('/register', (req, res) => {
+router.post('/register', validateBody(requestSchemas.register), (req, res) => {
   const { username, shProfileURL, password } = req.body;
   logger.info('Registration attempt', { username, shProfileURL });
-  if (!username?.trim() || !shProfileURL?.trim() || !password?.trim())
-    return res.status(400).json({ error: errorMessages.missingFields });
   const pattern = regexPatterns.shProfileURLPattern;
   if (!pattern.test(shProfileURL))
     return res.status(400).json({ error: errorMessages.invalidSHProfile });
 
-  const users = getDatabase('users');
   if (
-    Object.values(users).find(
-      u => u.username === username || u.shProfileURL === shProfileURL
-    )
+    users.query(u => u.username === username || u.shProfileURL === shProfileURL)
+      .length > 0
   ) {
     logger.warn('Registration failed - user exists', {
       username,
@@ -116,39 +127,64 @@ router.post('/register', (req, res) => {
     return res.status(409).json({ error: errorMessages.userExists });
   }
 
-  const existingIds = Object.keys(users).map(Number);
+  const existingIds = Object.keys(users.getAll()).map(Number);
   const newId = (
     existingIds.length ? Math.max(...existingIds) + 1 : 0
   ).toString();
 
   const hashedPassword = bcrypt.hashSync(password, 10);
-  users[newId] = {
+  const newUser = users.insert(newId, {
     username,
     shProfileURL,
     password: hashedPassword,
     role: 'user',
     approved: false,
     dateCreated: new Date().toISOString()
-  };
-  setDatabase('users', users);
+  });
 
   logger.info('User registered successfully', { newId, username });
-  res.status(201).json({ id: newId, ...users[newId] });
+  res.status(201).json({ id: newId, ...newUser });
 });
 
-router.post('/logout', verifyToken, (req, res) => {
-  const { jti } = req.user;
-  const blockedTokens = getDatabase('blockedTokens');
+router.post('/refresh', (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) {
+    return res.status(400).json({ error: errorMessages.refreshTokenRequired });
+  }
+
+  const result = rotateRefreshToken(refreshToken, req);
+  if (result.error) {
+    if (result.reused) {
+      logger.warn('Refresh token reuse detected - session revoked', {
+        sessionId: result.session.id,
+        userId: result.session.userId,
+        ip: req.ip
+      });
+    } else {
+      logger.warn('Token refresh failed', { ip: req.ip });
+    }
+    return res.status(401).json({ error: errorMessages[result.error] });
+  }
 
-  blockedTokens[jti] = {
+  logger.info('Token refreshed', {
+    sessionId: result.session.id,
+    userId: result.session.userId
+  });
+  res.json({ token: result.token, refreshToken: result.refreshToken });
+});
+
+router.post('/logout', verifyToken, (req, res) => {
+  const { jti, sid } = req.user;
+  getRepository('blockedTokens').insert(jti, {
     blockedAt: new Date().toISOString(),
     expiresAt: req.user.exp * 1000
-  };
+  });
+  if (sid) revokeSession(sid, 'logout');
 
-  setDatabase('blockedTokens', blockedTokens);
   logger.info('User logging out', {
     userId: req.user.id,
-    username: req.user.username
+    username: req.user.username,
+    sessionId: sid
   });
   res.json({ success: true });
 });
@@ -0,0 +1,33 @@
+/**
+ * @module routes/challenge
+ * @description Proof-of-work challenges for anonymous report submissions. No authentication required.
+ *
+ * Routes:
+ * - GET / : Issue a challenge. Responds `{ required: false }` when proof of work is disabled.
+ *
+ * Solve by finding a `nonce` such that `sha256("<challenge>:<nonce>")` starts with `difficulty`
+ * zero bits, then send `X-PoW-Challenge` and `X-PoW-Nonce` with the report submission, e.g. `POST /works`
+ * (see `utils/proofOfWork`).
+ *
+ * @requires express
+ * @requires ../utils/proofOfWork
+ * @requires ../config
+ */
+
+const express = require('express');
+const { createChallenge } = require('../utils/proofOfWork');
+const { env } = require('../config');
+
+const router = express.Router();
+
+router.get('/', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+
+  if (env.powDifficulty === 0) {
+    return res.json({ required: false });
+  }
+
+  res.json({ required: true, ...createChallenge() });
+});
+
+module.exports = router;
@@ -0,0 +1,56 @@
+/**
+ * @module routes/docs
+ * @description API documentation. No authentication required.
+ *
+ * Routes:
+ * - GET /             : Swagger UI for the OpenAPI document.
+ * - GET /openapi.json : The OpenAPI 3 document (see `docs/openapi`).
+ *
+ * The Swagger UI files are served from the `swagger-ui-dist` package under `/assets`, so the
+ * page works with the `'self'` Content-Security-Policy (see `middleware/securityHeaders`).
+ *
+ * @requires express
+ * @requires swagger-ui-dist
+ * @requires ../docs/openapi
+ */
+
+const express = require('express');
+const getSwaggerUiPath = require('swagger-ui-dist/absolute-path');
+const { createOpenApiSpec } = require('../docs/openapi');
+
+const router = express.Router();
+
+const spec = createOpenApiSpec();
+
+const renderPage = baseUrl => `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>${spec.info.title}</title>
+    <link rel="stylesheet" href="${baseUrl}/assets/swagger-ui.css" />
+  </head>
+  <body>
+    <div id="swagger-ui"></div>
+    <script src="${baseUrl}/assets/swagger-ui-bundle.js"></script>
+    <script>
+      window.ui = SwaggerUIBundle({
+        url: '${baseUrl}/openapi.json',
+        dom_id: '#swagger-ui',
+        deepLinking: true
+      });
+    </script>
+  </body>
+</html>
+`;
+
+router.get('/', (req, res) => {
+  res.type('html').send(renderPage(req.baseUrl));
+});
+
+router.get('/openapi.json', (req, res) => {
+  res.json(spec);
+});
+
+router.use('/assets', express.static(getSwaggerUiPath(), { index: false }));
+
+module.exports = router;
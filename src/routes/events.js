@@ -0,0 +1,66 @@
+/**
+ * @module routes/events
+ * @description Server-Sent Events stream of the events sent to webhooks, so clients do not
+ * have to poll `GET /works` and `GET /profiles`.
+ *
+ * Routes:
+ * - GET / : Opens the event stream. Authentication is optional, but a token that is sent must be
+ *           valid (see `verifyToken`).
+ *
+ * Each message has an `id`, the event type as `event` (e.g. 'work_created') and a JSON `data`
+ * field holding `{ event, timestamp, data }`, the same body generic webhooks receive.
+ * Users with the 'events.full' permission receive every event; everyone else only receives
+ * events whose record is approved. Full access is checked again with every heartbeat: once the
+ * token expires, its session is revoked or the user loses the permission, the stream is closed
+ * and the client reconnects with its current credentials.
+ *
+ * A comment line is sent every `env.sseHeartbeatMs` to keep the connection open. Reconnecting
+ * clients send `Last-Event-ID` (or `?lastEventId=`) to receive the events they missed; if those
+ * are no longer available a `reset` event is sent and the client should reload its data.
+ *
+ * @requires express
+ * @requires ../utils/eventStream
+ * @requires ../utils/db
+ * @requires ../utils/sessions
+ * @requires ../middleware/verifyToken
+ * @requires ../middleware/requirePermission
+ * @requires ../config
+ */
+
+const express = require('express');
+const { addClient } = require('../utils/eventStream');
+const { getRepository } = require('../utils/db');
+const { isSessionActive } = require('../utils/sessions');
+const verifyToken = require('../middleware/verifyToken');
+const { hasPermission } = require('../middleware/requirePermission');
+const { errorMessages } = require('../config');
+
+const router = express.Router();
+
+// Anonymous clients get the public stream; a sent token is verified like on any other route
+const authenticate = (req, res, next) =>
+  req.headers['authorization'] ? verifyToken(req, res, next) : next();
+
+// Whether the token still grants full access, with the user's current role
+const hasFullAccess = user => {
+  if (!user || user.exp * 1000 <= Date.now()) return false;
+  if (getRepository('blockedTokens').get(user.jti)) return false;
+  if (user.sid && !isSessionActive(user.sid)) return false;
+
+  const account = getRepository('users').get(user.id);
+  return !!account && hasPermission(account, 'events.full');
+};
+
+router.get('/', authenticate, (req, res) => {
+  const added = addClient(res, {
+    fullAccess: hasFullAccess(req.user),
+    checkAccess: () => hasFullAccess(req.user),
+    lastEventId: req.get('Last-Event-ID') || req.query.lastEventId
+  });
+
+  if (!added) {
+    res.status(503).json({ error: errorMessages.tooManyStreamClients });
+  }
+});
+
+module.exports = router;
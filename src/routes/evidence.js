@@ -0,0 +1,236 @@
+/**
+ * @module routes/evidence
+ * @description Express router for evidence files attached to reports.
+ *
+ * Uploads send the raw file as the request body, with its MIME type as `Content-Type`
+ * and optionally the original file name as the `name` query parameter. Accepted types are
+ * listed in `evidenceTypes` in config and limited to `env.evidenceMaxBytes`.
+ *
+ * Evidence is only visible while its report is approved and not deleted, except to the reporter
+ * and to users with the 'evidence.view' permission. Anyone else gets 404, as if it did not exist.
+ *
+ * Routes:
+ * - GET /file/:id                   : Download an evidence file. Served with a locked-down Content-Security-Policy.
+ * - GET /:reportType/:reportId      : List the evidence of a report.
+ * - POST /:reportType/:reportId     : Upload evidence. Reporters can upload to their own reports ('report.edit' allows any).
+ * - DELETE /:id                     : Remove evidence. Requires the 'evidence.delete' permission.
+ *
+ * `reportType` is a report type from `config/reportTypes`, e.g. 'works'.
+ *
+ * @requires express
+ * @requires ../utils/logger
+ * @requires ../utils/db
+ * @requires ../utils/evidence
+ * @requires ../utils/reportTypes
+ * @requires ../utils/trash
+ * @requires ../middleware/verifyToken
+ * @requires ../middleware/optionalVerifyToken
+ * @requires ../middleware/requirePermission
+ * @requires ../config
+ */
+
+const logger = require('../utils/logger');
+const express = require('express');
+const { getRepository } = require('../utils/db');
+const {
+  detectMimeType,
+  storeEvidence,
+  listEvidence,
+  getEvidencePath,
+  removeEvidence
+} = require('../utils/evidence');
+const { getReportType } = require('../utils/reportTypes');
+const { isDeleted } = require('../utils/trash');
+const verifyToken = require('../middleware/verifyToken');
+const optionalVerifyToken = require('../middleware/optionalVerifyToken');
+const {
+  hasPermission,
+  isReportOwner,
+  requirePermission
+} = require('../middleware/requirePermission');
+const { env, errorMessages, evidenceTypes } = require('../config');
+
+const router = express.Router();
+
+const rawBody = express.raw({ type: () => true, limit: env.evidenceMaxBytes });
+
+const canDeleteEvidence = requirePermission('evidence.delete');
+
+// Parses the file body, answering 413 instead of falling through to the generic error handler
+const parseUpload = (req, res, next) => {
+  rawBody(req, res, err => {
+    if (err?.type === 'entity.too.large') {
+      return res.status(413).json({
+        error: errorMessages.evidenceTooLarge,
+        details: `Maximum size is ${env.evidenceMaxBytes} bytes`
+      });
+    }
+    next(err);
+  });
+};
+
+const sendReportNotFound = (req, res) => {
+  const { reportType, reportId } = req.params;
+  res.status(404).json({
+    error: errorMessages[getReportType(reportType).errors.notFound],
+    details: `Report with ID ${reportId} does not exist`
+  });
+};
+
+// Resolves `reportType` and `reportId` to the report, or responds with 400/404
+const findReport = (req, res) => {
+  const { reportType, reportId } = req.params;
+  const type = getReportType(reportType);
+
+  if (!type) {
+    res.status(400).json({ error: errorMessages.invalidReportType });
+    return null;
+  }
+
+  const report = getRepository(reportType).get(reportId);
+  if (!report || isDeleted(report)) {
+    sendReportNotFound(req, res);
+    return null;
+  }
+
+  return report;
+};
+
+const isPublic = report => report.approved === true;
+
+// Evidence of unapproved reports is hidden from everyone but the reporter and staff
+const canSeeEvidence = (user, report) =>
+  isPublic(report) ||
+  isReportOwner(user, report) ||
+  hasPermission(user, 'evidence.view');
+
+router.get('/file/:id', optionalVerifyToken, (req, res, next) => {
+  const record = getRepository('evidence').get(req.params.id);
+  const report =
+    record && getRepository(record.reportType).get(record.reportId);
+
+  if (!report || isDeleted(report) || !canSeeEvidence(req.user, report)) {
+    return res.status(404).json({ error: errorMessages.evidenceNotFound });
+  }
+
+  const contentType =
+    record.mimeType === 'text/plain'
+      ? 'text/plain; charset=utf-8'
+      : record.mimeType;
+
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `inline; filename="evidence-${record.id}.${evidenceTypes[record.mimeType]}"`,
+    'Content-Security-Policy': "default-src 'none'; sandbox",
+    // Shared caches must not keep files that only some users may see
+    'Cache-Control': isPublic(report)
+      ? 'public, max-age=86400'
+      : 'private, no-store'
+  });
+
+  res.sendFile(getEvidencePath(record), err => {
+    if (!err) return;
+    if (err.code === 'ENOENT') {
+      logger.error('Evidence file missing on disk', {
+        id: record.id,
+        fileName: record.fileName
+      });
+      return res.status(404).json({ error: errorMessages.evidenceNotFound });
+    }
+    next(err);
+  });
+});
+
+router.get('/:reportType/:reportId', optionalVerifyToken, (req, res) => {
+  const report = findReport(req, res);
+  if (!report) return;
+
+  if (!canSeeEvidence(req.user, report)) return sendReportNotFound(req, res);
+
+  res.json(listEvidence(req.params.reportType, req.params.reportId));
+});
+
+router.post('/:reportType/:reportId', verifyToken, (req, res, next) => {
+  const report = findReport(req, res);
+  if (!report) return;
+
+  if (
+    !isReportOwner(req.user, report) &&
+    !hasPermission(req.user, 'report.edit')
+  ) {
+    logger.warn('Unauthorized evidence upload attempt', {
+      user: req.user.username,
+      reportType: req.params.reportType,
+      reportId: req.params.reportId
+    });
+    return res.status(403).json({ error: errorMessages.notReportOwner });
+  }
+
+  parseUpload(req, res, err => {
+    if (err) return next(err);
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: errorMessages.evidenceRequired });
+    }
+
+    // `?name=a&name=b` is parsed as an array
+    const originalName = req.query.name;
+    if (originalName !== undefined && typeof originalName !== 'string') {
+      return res.status(400).json({ error: errorMessages.invalidEvidenceName });
+    }
+
+    const declaredType = (req.headers['content-type'] || '')
+      .split(';')[0]
+      .trim()
+      .toLowerCase();
+    const detectedType = detectMimeType(req.body);
+
+    if (!evidenceTypes[declaredType] || declaredType !== detectedType) {
+      logger.warn('Rejected evidence upload', {
+        user: req.user.username,
+        declaredType,
+        detectedType
+      });
+      return res.status(415).json({
+        error: errorMessages.invalidEvidenceType,
+        details: `Declared '${declaredType || 'none'}', detected '${detectedType || 'unknown'}'`
+      });
+    }
+
+    const record = storeEvidence(req.body, {
+      mimeType: detectedType,
+      originalName,
+      reportType: req.params.reportType,
+      reportId: req.params.reportId,
+      user: req.user
+    });
+
+    logger.info('Evidence uploaded', {
+      id: record.id,
+      reportType: record.reportType,
+      reportId: record.reportId,
+      size: record.size,
+      uploadedBy: req.user.username
+    });
+
+    res.status(201).json(record);
+  });
+});
+
+router.delete('/:id', verifyToken, canDeleteEvidence, (req, res) => {
+  const record = removeEvidence(req.params.id);
+  if (!record) {
+    return res.status(404).json({ error: errorMessages.evidenceNotFound });
+  }
+
+  logger.info('Evidence removed', {
+    id: record.id,
+    reportType: record.reportType,
+    reportId: record.reportId,
+    removedBy: req.user.username
+  });
+
+  res.json({ success: true, deletedId: record.id });
+});
+
+module.exports = router;
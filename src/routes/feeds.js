@@ -0,0 +1,76 @@
+/**
+ * @module routes/feeds
+ * @description Public, read-only feeds of resolved reports. No authentication required.
+ *
+ * Routes:
+ * - GET /atom : Atom 1.0 feed.
+ * - GET /rss  : RSS 2.0 feed.
+ *
+ * Both list approved reports that reached one of their type's `feedStatuses` (e.g. works that
+ * were taken down, see `config/reportTypes`), newest first. Use `?type=<report type>`, e.g.
+ * `?type=works`, to only include one collection.
+ *
+ * Responses carry an `ETag` and answer `304 Not Modified` to a matching `If-None-Match` header.
+ * There is no `Last-Modified`: a report leaving the feed changes it without adding a newer date.
+ * Self links are built from `env.publicUrl`, never from the request's Host header.
+ *
+ * @requires crypto
+ * @requires express
+ * @requires ../utils/feed
+ * @requires ../utils/reportTypes
+ * @requires ../config
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { getFeedEntries, renderAtom, renderRss } = require('../utils/feed');
+const { reportTypeNames, getReportTypes } = require('../utils/reportTypes');
+const { env, errorMessages } = require('../config');
+
+const router = express.Router();
+
+const formats = {
+  atom: { render: renderAtom, contentType: 'application/atom+xml' },
+  rss: { render: renderRss, contentType: 'application/rss+xml' }
+};
+const feedTitles = {
+  ...Object.fromEntries(
+    getReportTypes().map(type => [type.name, type.feedTitle])
+  ),
+  all: 'MSGA - Resolved reports'
+};
+
+router.get('/:format', (req, res) => {
+  // Own keys only, so '/feeds/constructor' or '?type=toString' are not looked up on the prototype
+  if (!Object.hasOwn(formats, req.params.format)) {
+    return res.status(404).json({ error: errorMessages.feedNotFound });
+  }
+  const format = formats[req.params.format];
+
+  const type = req.query.type || 'all';
+  if (typeof type !== 'string' || !Object.hasOwn(feedTitles, type)) {
+    return res.status(400).json({ error: errorMessages.invalidReportType });
+  }
+
+  // Rebuilt from the known parameters, so other query parameters do not change the feed's id
+  const query = type === 'all' ? '' : `?type=${type}`;
+  const entries = getFeedEntries(type === 'all' ? reportTypeNames : [type]);
+  const body = format.render(entries, {
+    title: feedTitles[type],
+    selfUrl: `${env.publicUrl}${req.baseUrl}/${req.params.format}${query}`,
+    siteUrl: env.siteUrl
+  });
+
+  res.set({
+    'Content-Type': `${format.contentType}; charset=utf-8`,
+    'Cache-Control': 'public, max-age=300',
+    ETag: `"${crypto.createHash('sha1').update(body).digest('hex')}"`
+  });
+
+  // `req.fresh` compares If-None-Match with the ETag set above
+  if (req.fresh) return res.status(304).end();
+
+  res.send(body);
+});
+
+module.exports = router;
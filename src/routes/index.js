@@ -8,30 +8,68 @@
  *
  * @requires ./auth
  * @requires ./admin/users
- * @requires ./works/reports
- * @requires ./reports/profiles
+ * @requires ./reports/reportRouter
  * @requires ./webhooks
  * @requires ./version
  * @requires ./user/profile
+ * @requires ./evidence
+ * @requires ./admin/bulk
+ * @requires ./stats
+ * @requires ./feeds
+ * @requires ./events
+ * @requires ./challenge
+ * @requires ./admin/blocklist
+ * @requires ./admin/trash
+ * @requires ./admin/backups
+ * @requires ./docs
+ * @requires ../utils/reportTypes
  */
 
 module.exports = (app, baseRoute, generalLimiter, authLimiter) => {
   const authRoutes = require('./auth');
   const userRoutes = require('./admin/users');
-  const workRoutes = require('./reports/works');
-  const profileRoutes = require('./reports/profiles');
+  const createReportRouter = require('./reports/reportRouter');
   const webhookRoutes = require('./webhooks');
   const versionRoutes = require('./version');
   const userAccountRoutes = require('./user/profile');
+  const evidenceRoutes = require('./evidence');
+  const bulkRoutes = require('./admin/bulk');
+  const statsRoutes = require('./stats');
+  const feedRoutes = require('./feeds');
+  const eventRoutes = require('./events');
+  const challengeRoutes = require('./challenge');
+  const blocklistRoutes = require('./admin/blocklist');
+  const trashRoutes = require('./admin/trash');
+  const backupRoutes = require('./admin/backups');
+  const docsRoutes = require('./docs');
+  const { reportTypeNames } = require('../utils/reportTypes');
 
-  app.use(baseRoute + 'login', authLimiter, authRoutes);
-  app.use(baseRoute + 'register', authLimiter, authRoutes);
-
+  // Stricter limit on the routes that take credentials or tokens
+  app.use(
+    [baseRoute + 'login', baseRoute + 'register', baseRoute + 'refresh'],
+    authLimiter
+  );
   app.use(baseRoute, generalLimiter, authRoutes);
   app.use(baseRoute + 'users', generalLimiter, userRoutes);
-  app.use(baseRoute + 'works', generalLimiter, workRoutes);
-  app.use(baseRoute + 'profiles', generalLimiter, profileRoutes);
+  // One router per report type, e.g. /works, /profiles and /chapters
+  reportTypeNames.forEach(reportType => {
+    app.use(
+      baseRoute + reportType,
+      generalLimiter,
+      createReportRouter(reportType)
+    );
+  });
   app.use(baseRoute + 'webhooks', generalLimiter, webhookRoutes);
   app.use(baseRoute + 'version', generalLimiter, versionRoutes);
   app.use(baseRoute + 'user/profile', generalLimiter, userAccountRoutes);
+  app.use(baseRoute + 'evidence', generalLimiter, evidenceRoutes);
+  app.use(baseRoute + 'bulk', generalLimiter, bulkRoutes);
+  app.use(baseRoute + 'stats', generalLimiter, statsRoutes);
+  app.use(baseRoute + 'feeds', generalLimiter, feedRoutes);
+  app.use(baseRoute + 'events', generalLimiter, eventRoutes);
+  app.use(baseRoute + 'challenge', generalLimiter, challengeRoutes);
+  app.use(baseRoute + 'blocklist', generalLimiter, blocklistRoutes);
+  app.use(baseRoute + 'trash', generalLimiter, trashRoutes);
+  app.use(baseRoute + 'backups', generalLimiter, backupRoutes);
+  app.use(baseRoute + 'docs', generalLimiter, docsRoutes);
 };
@@ -0,0 +1,227 @@
+/**
+ * @module routes/comments
+ * @description Router factory for discussion threads on reports.
+ * Mounted by the report routers at `/:id/comments` (so `req.params.id` is the report ID).
+ *
+ * Comments have a visibility:
+ * - internal : Staff-only note. Requires the 'comment.internal' permission to read or write.
+ * - public   : Visible to staff and to the user who submitted the report.
+ *
+ * Routes:
+ * - GET /               : List the comments the user may see, oldest first.
+ * - POST /              : Add a comment. Reporters can only add public comments to their own reports.
+ * - PATCH /:commentId   : Edit a comment's body. Authors only. Marks the comment as edited.
+ * - DELETE /:commentId  : Delete a comment. Authors, or users with the 'comment.moderate' permission.
+ *
+ * New public comments trigger the `comment_added` webhook event, which webhooks only receive if
+ * they subscribe to it explicitly. Internal comments are never sent to webhooks.
+ *
+ * @requires express
+ * @requires ../../utils/logger
+ * @requires ../../utils/db
+ * @requires ../../utils/webhookNotifier
+ * @requires ../../middleware/verifyToken
+ * @requires ../../middleware/requirePermission
+ * @requires ../../utils/reportTypes
+ * @requires ../../utils/trash
+ * @requires ../../config
+ */
+
+/**
+ * Creates the comments router for a report collection.
+ *
+ * @function
+ * @param {string} reportType - The report type (see `config/reportTypes`).
+ * @returns {import('express').Router} The comments router.
+ */
+
+const logger = require('../../utils/logger');
+const express = require('express');
+const { getRepository, transaction } = require('../../utils/db');
+const { sendToAllWebhooks } = require('../../utils/webhookNotifier');
+const verifyToken = require('../../middleware/verifyToken');
+const {
+  hasPermission,
+  isReportOwner
+} = require('../../middleware/requirePermission');
+const { getReportType } = require('../../utils/reportTypes');
+const { isDeleted } = require('../../utils/trash');
+const { errorMessages } = require('../../config');
+
+const comments = getRepository('comments');
+
+const MAX_COMMENT_LENGTH = 2000;
+const visibilities = ['internal', 'public'];
+
+const validateBody = body => {
+  if (typeof body !== 'string' || !body.trim()) {
+    return errorMessages.commentRequired;
+  }
+  if (body.trim().length > MAX_COMMENT_LENGTH) {
+    return errorMessages.commentTooLong;
+  }
+  return null;
+};
+
+const createCommentsRouter = reportType => {
+  const router = express.Router({ mergeParams: true });
+  const notFoundMessage =
+    errorMessages[getReportType(reportType).errors.notFound];
+
+  router.use(verifyToken);
+
+  // Load the report and check the user may take part in its discussion
+  router.use((req, res, next) => {
+    const report = getRepository(reportType).get(req.params.id);
+    if (!report || isDeleted(report)) {
+      return res.status(404).json({
+        error: notFoundMessage,
+        details: `Report with ID ${req.params.id} does not exist`
+      });
+    }
+
+    const isStaff = hasPermission(req.user, 'comment.internal');
+    if (!isStaff && !isReportOwner(req.user, report)) {
+      return res.status(403).json({ error: errorMessages.cannotViewComments });
+    }
+
+    req.report = report;
+    req.isStaff = isStaff;
+    next();
+  });
+
+  const findComments = reportId =>
+    comments.query({ reportType, reportId: Number(reportId) });
+
+  router.get('/', (req, res) => {
+    const visible = findComments(req.params.id)
+      .filter(comment => req.isStaff || comment.visibility === 'public')
+      .sort((a, b) => a.id - b.id);
+
+    res.json(visible);
+  });
+
+  router.post('/', (req, res) => {
+    const { body, visibility = req.isStaff ? 'internal' : 'public' } = req.body;
+
+    const bodyError = validateBody(body);
+    if (bodyError) return res.status(400).json({ error: bodyError });
+
+    if (!visibilities.includes(visibility)) {
+      return res
+        .status(400)
+        .json({ error: errorMessages.invalidCommentVisibility });
+    }
+
+    if (visibility === 'internal' && !req.isStaff) {
+      return res.status(403).json({ error: errorMessages.cannotViewComments });
+    }
+
+    const comment = transaction(() => {
+      const newId = comments.nextId();
+
+      return comments.insert(newId, {
+        id: newId,
+        reportType,
+        reportId: Number(req.params.id),
+        author: req.user.username,
+        authorId: req.user.id,
+        body: body.trim(),
+        visibility,
+        created: new Date().toISOString(),
+        edited: false,
+        editedAt: null
+      });
+    });
+
+    logger.info('Comment added', {
+      reportType,
+      reportId: req.params.id,
+      commentId: comment.id,
+      visibility,
+      author: req.user.username
+    });
+
+    // Internal notes are staff-only, so they never leave the server
+    if (visibility === 'public') {
+      sendToAllWebhooks('comment_added', {
+        title: req.report.title,
+        url: req.report.url,
+        status: req.report.status,
+        reportType,
+        reportId: req.report.id,
+        commentId: comment.id,
+        author: req.user.username,
+        body: comment.body,
+        visibility
+      });
+    }
+
+    res.status(201).json(comment);
+  });
+
+  router.patch('/:commentId', (req, res) => {
+    const comment = comments.get(req.params.commentId);
+
+    if (
+      !comment ||
+      !findComments(req.params.id).some(c => c.id === comment.id)
+    ) {
+      return res.status(404).json({ error: errorMessages.commentNotFound });
+    }
+
+    if (comment.authorId !== req.user.id) {
+      return res.status(403).json({ error: errorMessages.cannotEditComment });
+    }
+
+    const bodyError = validateBody(req.body.body);
+    if (bodyError) return res.status(400).json({ error: bodyError });
+
+    comment.body = req.body.body.trim();
+    comment.edited = true;
+    comment.editedAt = new Date().toISOString();
+    comments.update(comment.id, comment);
+
+    logger.info('Comment edited', {
+      reportType,
+      reportId: req.params.id,
+      commentId: comment.id,
+      editedBy: req.user.username
+    });
+
+    res.json(comment);
+  });
+
+  router.delete('/:commentId', (req, res) => {
+    const comment = comments.get(req.params.commentId);
+
+    if (
+      !comment ||
+      !findComments(req.params.id).some(c => c.id === comment.id)
+    ) {
+      return res.status(404).json({ error: errorMessages.commentNotFound });
+    }
+
+    if (
+      comment.authorId !== req.user.id &&
+      !hasPermission(req.user, 'comment.moderate')
+    ) {
+      return res.status(403).json({ error: errorMessages.cannotEditComment });
+    }
+
+    comments.delete(req.params.commentId);
+
+    logger.info('Comment deleted', {
+      reportType,
+      reportId: req.params.id,
+      commentId: comment.id,
+      deletedBy: req.user.username
+    });
+
+    res.json({ success: true, deletedId: comment.id });
+  });
+
+  return router;
+};
+
+module.exports = createCommentsRouter;
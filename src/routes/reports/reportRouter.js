@@ -0,0 +1,712 @@
+/**
+ * @module routes/reportRouter
+ * @description Router factory for a report type (see `config/reportTypes`). `routes/index.js`
+ * mounts one router per registered type at `/<type>`, e.g. `/works`, `/profiles` and `/chapters`.
+ *
+ * Routes:
+ * - GET /           : Fetch all reports, or a filtered, sorted and paginated list when query parameters are given.
+ *                     Deleted reports are left out.
+ *                     Types with `autoApproveOnList` approve reports that are not pending review.
+ *                     Sends an `ETag` of the response and answers 304 to a matching `If-None-Match`.
+ * - POST /          : Submit a new report. Validates (`reportCreate` in `config/schemas`) and prevents duplicates.
+ * - GET /:id        : Fetch one report, with its revision as `ETag`.
+ * - PUT /:id/status : Update the status of a report. Requires the 'report.status' permission.
+ *                     Validates (`reportStatus` in `config/schemas`).
+ *                     Only transitions listed in the type's `transitions` are allowed; some need a `reason`,
+ *                     which is stored as `statusReason` and sent with the webhook.
+ * - PUT /:id/approve: Approve a report and set status to 'in_progress'. Requires the 'report.approve' permission.
+ * - DELETE /:id     : Move a report to the trash, with an optional `reason` (see `utils/trash`).
+ *                     Requires the 'report.delete' permission. Deleted reports answer 404 on every other route
+ *                     except the history, and can be restored or purged through `routes/admin/trash`.
+ * - PUT /:id        : Update report fields. Plain users may only edit their own reports ('report.edit' allows any),
+ *                     and only admins can update protected fields ('approved', 'status', 'statusReason').
+ *                     Allowed fields are listed in `reportUpdate` (see `config/schemas`).
+ * - GET /:id/history: Fetch the change history of a report. Requires the 'report.history' permission.
+ * - /:id/comments   : Discussion thread on a report (see `routes/comments`).
+ *
+ * Every report has a `revision` that goes up with each change (see `utils/revision`). PUT /:id,
+ * PUT /:id/status and PUT /:id/approve honor `If-Match`: if it names another revision they answer
+ * 412 with the current report instead of overwriting a concurrent edit. Their responses carry the
+ * new `ETag`.
+ *
+ * Middleware:
+ * - verifyToken     : Ensures the user is authenticated for protected routes.
+ * - requirePermission: Checks the user's role against the permission map in config.
+ * - submissionChecks: Checks on POST / (limiter, blocklist, body validation). The URL and duplicate
+ *                     checks and the proof of work follow.
+ *
+ * Utilities:
+ * - logger          : For logging actions and warnings.
+ * - getRepository   : Reads and writes the type's collection, one report at a time.
+ * - transaction     : Stores a change and its history entry together.
+ * - sendToAllWebhooks: Notifies external services of report changes, using the type's `events`.
+ * - recordHistory   : Stores a versioned history entry for every change.
+ * - isDeleted       : Tells deleted reports (in the trash) apart.
+ * - checkIfMatch    : Compares `If-Match` with the revision of a report.
+ *
+ * @requires express
+ * @requires ../../utils/logger
+ * @requires ../../utils/db
+ * @requires ../../utils/webhookNotifier
+ * @requires ../../utils/history
+ * @requires ../../utils/shUrl
+ * @requires ../../utils/trash
+ * @requires ../../utils/revision
+ * @requires ../../utils/ipBlocklist
+ * @requires ../../utils/listQuery
+ * @requires ../../utils/statusWorkflow
+ * @requires ../../utils/reportTypes
+ * @requires ./comments
+ * @requires ../../middleware/verifyToken
+ * @requires ../../middleware/optionalVerifyToken
+ * @requires ../../middleware/requirePermission
+ * @requires ../../middleware/authLimiter
+ * @requires ../../middleware/antiSpam
+ * @requires ../../middleware/validateBody
+ * @requires ../../config
+ * @requires ../../config/schemas
+ */
+
+/**
+ * Creates the router for a report type.
+ *
+ * @function
+ * @param {string} reportType - A type defined in `config/reportTypes`, e.g. 'works'.
+ * @returns {import('express').Router} The report router.
+ * @throws {Error} If the report type does not exist.
+ */
+
+const logger = require('../../utils/logger');
+const express = require('express');
+const { getRepository, transaction } = require('../../utils/db');
+const {
+  hasListQuery,
+  parseListQuery,
+  applyListQuery
+} = require('../../utils/listQuery');
+const {
+  checkStatusTransition,
+  markStatusChange
+} = require('../../utils/statusWorkflow');
+const { getReportType } = require('../../utils/reportTypes');
+const createCommentsRouter = require('./comments');
+const { sendToAllWebhooks } = require('../../utils/webhookNotifier');
+const {
+  diffRecord,
+  recordHistory,
+  getHistory
+} = require('../../utils/history');
+const { normalizeReportUrl, findByCanonicalKey } = require('../../utils/shUrl');
+const {
+  isDeleted,
+  withoutDeleted,
+  getPurgeAfter
+} = require('../../utils/trash');
+const {
+  bumpRevision,
+  getETag,
+  checkIfMatch,
+  sendWithETag
+} = require('../../utils/revision');
+const verifyToken = require('../../middleware/verifyToken');
+const {
+  hasPermission,
+  isReportOwner,
+  requirePermission
+} = require('../../middleware/requirePermission');
+const optionalVerifyToken = require('../../middleware/optionalVerifyToken');
+const validateBody = require('../../middleware/validateBody');
+const { submissionLimiter } = require('../../middleware/authLimiter');
+const {
+  checkBlocklist,
+  requireProofOfWork
+} = require('../../middleware/antiSpam');
+const { addToShadowQueue } = require('../../utils/ipBlocklist');
+const { errorMessages, reportStatuses } = require('../../config');
+const requestSchemas = require('../../config/schemas');
+
+// Permission checks, see `permissions` in config
+const canChangeStatus = requirePermission('report.status');
+const canApprove = requirePermission('report.approve');
+const canDelete = requirePermission(
+  'report.delete',
+  errorMessages.onlyAdminsCanDelete
+);
+const canViewHistory = requirePermission('report.history');
+
+// Body schemas, see `config/schemas`
+const validateCreate = validateBody(requestSchemas.reportCreate);
+const validateUpdate = validateBody(requestSchemas.reportUpdate);
+const validateDelete = validateBody(requestSchemas.reportDelete);
+const validateStatus = validateBody(requestSchemas.reportStatus);
+
+const statusChecks = [verifyToken, canChangeStatus, validateStatus];
+
+// Anonymous submissions are rate limited and may need a proof of work; blocked addresses are
+// rejected or shadow-queued (see `middleware/antiSpam`). The proof of work is checked last (see
+// `createChecks` in the router), so a rejected submission does not use up its challenge.
+const submissionChecks = [
+  optionalVerifyToken,
+  checkBlocklist,
+  submissionLimiter,
+  validateCreate
+];
+
+const createReportRouter = reportType => {
+  const type = getReportType(reportType);
+  if (!type) throw new Error(`Unknown report type: ${reportType}`);
+
+  const router = express.Router();
+  const repository = getRepository(reportType);
+  const { label, events } = type;
+  const noun = label.toLowerCase();
+  const notFound = id => ({
+    error: errorMessages[type.errors.notFound],
+    details: `${label} with ID ${id} does not exist`
+  });
+  const invalidUrl = {
+    error: errorMessages[type.errors.invalidUrl],
+    details: `URL must match pattern: ${type.urlExample}`
+  };
+  const sendReport = (res, report) =>
+    res.set('ETag', getETag(report)).json(report);
+  // Answers 412 if `If-Match` names another revision; returns whether it did
+  const rejectStaleRevision = (req, res, report, action) => {
+    const conflict = checkIfMatch(req, report);
+    if (!conflict) return false;
+
+    logger.warn(`${action} failed - ${noun} changed since it was fetched`, {
+      reportId: report.id,
+      ifMatch: req.get('If-Match'),
+      currentRevision: report.revision
+    });
+    res.status(412).set('ETag', getETag(report)).json(conflict);
+    return true;
+  };
+
+  router.get('/', (req, res) => {
+    logger.info(`Fetching all ${reportType}`);
+    const reports = repository.getAll();
+
+    if (type.autoApproveOnList) {
+      // Auto-approve any report that slipped through and is not pending_review
+      Object.entries(reports).forEach(([dbKey, report]) => {
+        if (report.approved === false && report.status !== 'pending_review') {
+          logger.debug('Auto-approving report', {
+            reportType,
+            reportId: report.id
+          });
+          report.approved = true;
+          repository.update(dbKey, {
+            approved: true,
+            revision: bumpRevision(report)
+          });
+        }
+      });
+    }
+
+    const visible = withoutDeleted(reports);
+
+    if (hasListQuery(req.query)) {
+      const { options, error } = parseListQuery(
+        req.query,
+        reportStatuses[reportType]
+      );
+      if (error) {
+        logger.warn('Invalid report list query', {
+          reportType,
+          query: req.query,
+          error
+        });
+        return res.status(400).json({
+          error: errorMessages.invalidListQuery,
+          details: error
+        });
+      }
+
+      const result = applyListQuery(visible, options);
+      logger.info(`Returning filtered ${reportType}`, {
+        total: result.total,
+        page: result.page
+      });
+      return sendWithETag(req, res, result);
+    }
+
+    logger.info(`Returning all ${reportType}`, {
+      count: Object.keys(visible).length
+    });
+    sendWithETag(req, res, visible);
+  });
+
+  router.get('/:id', (req, res) => {
+    const { id } = req.params;
+    const report = repository.get(id);
+
+    if (!report || isDeleted(report)) {
+      logger.warn(`Lookup failed - ${noun} not found`, { reportId: id });
+      return res.status(404).json(notFound(id));
+    }
+
+    sendReport(res, report);
+  });
+
+  // Normalizes the URL into `req.normalizedUrl` and rejects duplicates
+  const checkSubmittedUrl = (req, res, next) => {
+    const submittedUrl = req.body.url.trim();
+
+    const normalized = normalizeReportUrl(reportType, submittedUrl);
+    if (!normalized) {
+      logger.warn(`${label} submission failed - invalid URL`, {
+        url: submittedUrl
+      });
+      return res.status(400).json(invalidUrl);
+    }
+
+    const duplicate = findByCanonicalKey(
+      reportType,
+      repository.getAll(),
+      normalized.canonicalKey
+    );
+    if (duplicate) {
+      logger.warn(`${label} submission failed - duplicate ${noun}`, {
+        url: submittedUrl,
+        canonicalKey: normalized.canonicalKey,
+        existingId: duplicate.id
+      });
+      return res.status(409).json({
+        error: errorMessages[type.errors.exists],
+        details: `This ${noun} has already been reported in the system (ID ${duplicate.id})`
+      });
+    }
+
+    req.normalizedUrl = normalized;
+    next();
+  };
+
+  // Every check that can reject the submission runs before the proof of work
+  const createChecks = [
+    ...submissionChecks,
+    checkSubmittedUrl,
+    requireProofOfWork
+  ];
+
+  router.post('/', createChecks, (req, res) => {
+    logger.info(`New ${noun} report submitted`, {
+      url: req.body.url,
+      reporter: req.user ? req.user.username : 'Anonymous'
+    });
+
+    const normalized = req.normalizedUrl;
+    // Shadow-queued reports get their ID when they are released, so they cannot take one now
+    const nextIdNum = req.shadowBlockEntry ? null : repository.nextId();
+
+    // Check if user is authenticated
+    const isLoggedIn = !!req.user;
+
+    const newReport = {
+      id: nextIdNum,
+      title:
+        req.body.title ||
+        (nextIdNum ? `Reported ${label} ${nextIdNum}` : `Reported ${label}`),
+      url: normalized.url,
+      canonicalKey: normalized.canonicalKey,
+      status: isLoggedIn ? 'in_progress' : 'pending_review',
+      reporter:
+        req.body.reporter || (req.user ? req.user.username : 'Anonymous'),
+      reporterId: req.user ? req.user.id : null,
+      reason: req.body.reason || '',
+      proofs: req.body.proofs?.filter(p => p) || [],
+      additionalInfo: req.body.additionalInfo || '',
+      dateReported: new Date().toISOString().split('T')[0],
+      reportedAt: new Date().toISOString(),
+      approved: isLoggedIn, // Auto-approve if logged in
+      revision: 1
+    };
+    markStatusChange(newReport);
+
+    if (req.shadowBlockEntry) {
+      // Looks like a normal submission to the client, but is only visible to admins
+      addToShadowQueue(reportType, newReport, {
+        ip: req.ip,
+        blockEntryId: req.shadowBlockEntry.id
+      });
+      return res.status(201).set('ETag', getETag(newReport)).json(newReport);
+    }
+
+    transaction(() => {
+      repository.insert(nextIdNum, newReport);
+      recordHistory(reportType, nextIdNum, {
+        action: 'created',
+        changedBy: req.user ? req.user.username : 'Anonymous',
+        changes: diffRecord({}, newReport)
+      });
+    });
+
+    logger.info(`Sending ${events.created} webhook`, { reportId: nextIdNum });
+    sendToAllWebhooks(events.created, {
+      ...newReport,
+      updatedBy: req.user ? req.user.username : 'Anonymous'
+    });
+
+    logger.info(`New ${noun} report created successfully`, {
+      reportId: nextIdNum,
+      title: newReport.title,
+      reporter: newReport.reporter
+    });
+
+    res.status(201).set('ETag', getETag(newReport)).json(newReport);
+  });
+
+  router.put('/:id/status', statusChecks, (req, res) => {
+    const { id } = req.params;
+    const { status, reason } = req.body;
+    const report = repository.get(id);
+
+    const validStatuses = reportStatuses[reportType];
+
+    if (!validStatuses.includes(status)) {
+      logger.warn('Invalid status provided', { status });
+      return res.status(400).json({
+        error: errorMessages.invalidStatus,
+        details: `Valid statuses are: ${validStatuses.join(', ')}`
+      });
+    }
+
+    if (!report || isDeleted(report)) {
+      logger.warn(`Status update failed - ${noun} not found`, {
+        reportId: id
+      });
+      return res.status(404).json(notFound(id));
+    }
+
+    if (rejectStaleRevision(req, res, report, 'Status update')) return;
+
+    // Check if status is unchanged
+    if (report.status === status) {
+      logger.warn('Status update failed - no change detected', {
+        reportId: id,
+        currentStatus: report.status
+      });
+      return res.status(400).json({
+        error: errorMessages.noStatusChange,
+        details: `${label} status is already '${report.status}'. No change needed.`
+      });
+    }
+
+    const transitionError = checkStatusTransition(
+      reportType,
+      report.status,
+      status,
+      reason
+    );
+    if (transitionError) {
+      logger.warn('Status update failed - transition not allowed', {
+        reportId: id,
+        currentStatus: report.status,
+        requestedStatus: status
+      });
+      return res.status(400).json(transitionError);
+    }
+
+    const oldStatus = report.status;
+    const before = { ...report };
+    report.status = status;
+    markStatusChange(report);
+    report.statusReason = reason?.trim() || null;
+
+    // Auto-approve if status changed and not approved
+    if (report.approved === false) {
+      logger.debug('Auto-approving report during status update', {
+        reportType,
+        reportId: id
+      });
+      report.approved = true;
+    }
+    bumpRevision(report);
+
+    transaction(() => {
+      repository.update(id, report);
+      recordHistory(reportType, id, {
+        action: 'status_changed',
+        changedBy: req.user.username,
+        changes: diffRecord(before, report)
+      });
+    });
+
+    logger.info(`Sending ${events.updated} webhook`, { reportId: id });
+    sendToAllWebhooks(events.updated, {
+      ...report,
+      updatedBy: req.user.username
+    });
+
+    logger.info(`${label} status updated`, {
+      reportId: id,
+      oldStatus,
+      newStatus: status,
+      updatedBy: req.user.username
+    });
+
+    sendReport(res, report);
+  });
+
+  router.put('/:id/approve', verifyToken, canApprove, (req, res) => {
+    const { id } = req.params;
+    const report = repository.get(id);
+
+    if (!report || isDeleted(report)) {
+      logger.warn(`Approval failed - ${noun} not found`, { reportId: id });
+      return res.status(404).json(notFound(id));
+    }
+
+    if (rejectStaleRevision(req, res, report, 'Approval')) return;
+
+    if (report.status !== 'in_progress') {
+      const transitionError = checkStatusTransition(
+        reportType,
+        report.status,
+        'in_progress'
+      );
+      if (transitionError) {
+        logger.warn('Approval failed - transition not allowed', {
+          reportId: id,
+          currentStatus: report.status
+        });
+        return res.status(400).json(transitionError);
+      }
+      report.statusReason = null;
+    }
+
+    const before = { ...report };
+    report.approved = true;
+    report.status = 'in_progress';
+    if (before.status !== 'in_progress') markStatusChange(report);
+    bumpRevision(report);
+
+    transaction(() => {
+      repository.update(id, report);
+      recordHistory(reportType, id, {
+        action: 'approved',
+        changedBy: req.user.username,
+        changes: diffRecord(before, report)
+      });
+    });
+
+    logger.info(`Sending ${events.updated} webhook`, { reportId: id });
+    sendToAllWebhooks(events.updated, {
+      ...report,
+      updatedBy: req.user.username
+    });
+
+    logger.info(`${label} approved`, {
+      reportId: id,
+      title: report.title,
+      approvedBy: req.user.username
+    });
+
+    sendReport(res, report);
+  });
+
+  router.delete('/:id', verifyToken, canDelete, validateDelete, (req, res) => {
+    const id = parseInt(req.params.id);
+    const entry = Object.entries(repository.getAll()).find(
+      ([_, report]) => report.id === id && !isDeleted(report)
+    );
+
+    if (!entry) {
+      logger.warn(`Delete failed - ${noun} not found`, { reportId: id });
+      return res.status(404).json(notFound(id));
+    }
+
+    const [dbKey, report] = entry;
+    const before = { ...report };
+    report.deletedAt = new Date().toISOString();
+    report.deletedBy = req.user.username;
+    report.deletedReason = req.body.reason?.trim() || null;
+    bumpRevision(report);
+
+    transaction(() => {
+      repository.update(dbKey, report);
+      recordHistory(reportType, id, {
+        action: 'deleted',
+        changedBy: req.user.username,
+        changes: diffRecord(before, report)
+      });
+    });
+
+    logger.info(`Sending ${events.deleted} webhook`, { reportId: id });
+    sendToAllWebhooks(events.deleted, {
+      ...report,
+      updatedBy: req.user.username
+    });
+
+    logger.info(`${label} moved to the trash`, {
+      reportId: id,
+      title: report.title,
+      deletedBy: req.user.username
+    });
+
+    res.json({
+      success: true,
+      deletedId: id,
+      purgeAfter: getPurgeAfter(report)
+    });
+  });
+
+  router.put('/:id', verifyToken, validateUpdate, (req, res) => {
+    const id = parseInt(req.params.id);
+    const reports = repository.getAll();
+    const entry = Object.entries(reports).find(
+      ([_, report]) => report.id === id && !isDeleted(report)
+    );
+
+    if (!entry) {
+      logger.warn(`Update failed - ${noun} not found`, { reportId: id });
+      return res.status(404).json(notFound(id));
+    }
+
+    const [dbKey, report] = entry;
+
+    if (
+      !hasPermission(req.user, 'report.edit') &&
+      !isReportOwner(req.user, report)
+    ) {
+      logger.warn(`Unauthorized ${noun} update attempt`, {
+        user: req.user.username,
+        reportId: id
+      });
+      return res.status(403).json({
+        error: errorMessages.notReportOwner,
+        details: `Only the reporter, moderators and administrators can edit this ${noun}`
+      });
+    }
+
+    if (rejectStaleRevision(req, res, report, 'Update')) return;
+
+    if (req.body.url !== undefined && req.body.url !== report.url) {
+      const normalized = normalizeReportUrl(reportType, req.body.url);
+      if (!normalized) {
+        logger.warn('Update failed - invalid URL', {
+          reportId: id,
+          url: req.body.url
+        });
+        return res.status(400).json(invalidUrl);
+      }
+
+      const duplicate = findByCanonicalKey(
+        reportType,
+        reports,
+        normalized.canonicalKey,
+        id
+      );
+      if (duplicate) {
+        logger.warn(`Update failed - duplicate ${noun}`, {
+          reportId: id,
+          canonicalKey: normalized.canonicalKey,
+          existingId: duplicate.id
+        });
+        return res.status(409).json({
+          error: errorMessages[type.errors.exists],
+          details: `Another report already covers this ${noun} (ID ${duplicate.id})`
+        });
+      }
+
+      req.body.url = normalized.url;
+      req.body.canonicalKey = normalized.canonicalKey;
+    }
+
+    if (req.body.status !== undefined && req.body.status !== report.status) {
+      const transitionError = checkStatusTransition(
+        reportType,
+        report.status,
+        req.body.status,
+        req.body.statusReason
+      );
+      if (transitionError) {
+        logger.warn('Update failed - status transition not allowed', {
+          reportId: id,
+          currentStatus: report.status,
+          requestedStatus: req.body.status
+        });
+        return res.status(400).json(transitionError);
+      }
+    }
+
+    const changes = {};
+
+    // Log changes by comparing old and new values
+    Object.keys(req.body).forEach(key => {
+      if (report[key] !== req.body[key]) {
+        changes[key] = {
+          oldValue: report[key],
+          newValue: req.body[key]
+        };
+      }
+    });
+
+    if (Object.keys(changes).length === 0) {
+      logger.info(`${label} update request with no changes`, {
+        reportId: id
+      });
+      return res.status(400).json({
+        error: errorMessages.noChangesDetected,
+        details: 'No fields were modified in the update request'
+      });
+    }
+
+    const before = { ...report };
+    Object.assign(report, req.body);
+    if (report.status !== before.status) {
+      markStatusChange(report);
+      // Like PUT /:id/status, the reason belongs to the new status only
+      report.statusReason = req.body.statusReason?.trim() || null;
+    }
+    bumpRevision(report);
+
+    transaction(() => {
+      repository.update(dbKey, report);
+      recordHistory(reportType, id, {
+        action: 'updated',
+        changedBy: req.user.username,
+        changes: diffRecord(before, report)
+      });
+    });
+
+    logger.info(`Sending ${events.updated} webhook`, { reportId: id });
+    sendToAllWebhooks(events.updated, {
+      ...report,
+      updatedBy: req.user.username
+    });
+
+    logger.info(`${label} updated`, {
+      reportId: id,
+      changes,
+      updatedBy: req.user.username
+    });
+
+    sendReport(res, report);
+  });
+
+  router.get('/:id/history', verifyToken, canViewHistory, (req, res) => {
+    const { id } = req.params;
+    const history = getHistory(reportType, id);
+
+    if (!repository.get(id) && history.length === 0) {
+      logger.warn(`History lookup failed - ${noun} not found`, {
+        reportId: id
+      });
+      return res.status(404).json(notFound(id));
+    }
+
+    logger.info(`Returning ${noun} history`, {
+      reportId: id,
+      entries: history.length
+    });
+    res.json(history);
+  });
+
+  router.use('/:id/comments', createCommentsRouter(reportType));
+
+  return router;
+};
+
+module.exports = createReportRouter;
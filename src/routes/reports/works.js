@@ -1,339 +0,0 @@
-/**
- * @module routes/works
- * @description Express router for handling work-related operations.
- *
- * Routes:
- * - GET /           : Fetch all works. Auto-approves works not pending review.
- * - POST /          : Submit a new work report. Validates and prevents duplicates.
- * - PUT /:id/status : Update the status of a work. Requires authentication.
- * - PUT /:id/approve: Approve a work and set status to 'in_progress'. Requires authentication.
- * - DELETE /:id     : Delete a work. Only accessible by admin users.
- * - PUT /:id        : Update work fields. Only admin can update protected fields ('approved', 'status').
- *
- * Middleware:
- * - verifyToken     : Ensures the user is authenticated for protected routes.
- *
- * Utilities:
- * - logger          : For logging actions and warnings.
- * - getDatabase     : Retrieves the works database.
- * - setDatabase     : Updates the works database.
- * - sendToAllWebhooks: Notifies external services of work changes.
- *
- * @requires express
- * @requires ../utils/logger
- * @requires ../utils/db
- * @requires ../utils/webhookNotifier
- * @requires ../middleware/verifyToken
- * @requires ../config
- */
-
-const logger = require('../../utils/logger');
-const express = require('express');
-const { getDatabase, setDatabase } = require('../../utils/db');
-const { sendToAllWebhooks } = require('../../utils/webhookNotifier');
-const verifyToken = require('../../middleware/verifyToken');
-const optionalVerifyToken = require('../../middleware/optionalVerifyToken');
-const { errorMessages, regexPatterns } = require('../../config');
-
-const router = express.Router();
-
-router.get('/', (req, res) => {
-  logger.info('Fetching all works');
-  const works = getDatabase('works');
-
-  logger.info('Returning all works', { count: Object.keys(works).length });
-  res.json(works);
-});
-
-router.post('/', optionalVerifyToken, (req, res) => {
-  logger.info('New work report submitted', {
-    url: req.body.url,
-    reporter: req.user ? req.user.username : 'Anonymous'
-  });
-
-  const works = getDatabase('works');
-  const existingIds = Object.keys(works).map(id => Number(id));
-  const nextIdNum = existingIds.length > 0 ? Math.max(...existingIds) + 1 : 1;
-  const nextId = nextIdNum.toString();
-
-  const submittedUrl = req.body.url?.trim();
-  if (!submittedUrl) {
-    logger.warn('Work submission failed - missing URL');
-    return res.status(400).json({
-      error: errorMessages.workUrlRequired,
-      details: 'Work URL is a required field'
-    });
-  }
-
-  const pattern = regexPatterns.shWorkURLPattern;
-  if (!pattern.test(submittedUrl)) {
-    logger.warn('Work submission failed - invalid URL', { url: submittedUrl });
-    return res.status(400).json({
-      error: errorMessages.invalidSHWorkUrl,
-      details:
-        'URL must match pattern: https://www.scribblehub.com/series/###/title/'
-    });
-  }
-
-  const isDuplicate = Object.values(works).some(
-    work => work.url.trim() === submittedUrl
-  );
-  if (isDuplicate) {
-    logger.warn('Work submission failed - duplicate work', {
-      url: submittedUrl
-    });
-    return res.status(409).json({
-      error: errorMessages.workExists,
-      details: 'This work has already been reported in the system'
-    });
-  }
-
-  // Check if user is authenticated
-  const isLoggedIn = !!req.user;
-
-  const newWork = {
-    id: nextIdNum,
-    title: req.body.title || `Reported Work ${nextId}`,
-    url: submittedUrl,
-    status: isLoggedIn ? 'in_progress' : 'pending_review',
-    reporter: req.body.reporter || (req.user ? req.user.username : 'Anonymous'),
-    reason: req.body.reason || '',
-    proofs: req.body.proofs?.filter(p => p) || [],
-    additionalInfo: req.body.additionalInfo || '',
-    dateReported: new Date().toISOString().split('T')[0],
-    approved: isLoggedIn // Auto-approve if logged in
-  };
-
-  works[nextId] = newWork;
-  setDatabase('works', works);
-
-  logger.info('Sending work_created webhook', { workId: nextIdNum });
-  sendToAllWebhooks('work_created', {
-    ...newWork,
-    updatedBy: req.user ? req.user.username : 'Anonymous'
-  });
-
-  logger.info('New work created successfully', {
-    workId: nextIdNum,
-    title: newWork.title,
-    reporter: newWork.reporter
-  });
-
-  res.status(201).json(newWork);
-});
-
-router.put('/:id/status', verifyToken, (req, res) => {
-  const { id } = req.params;
-  const { status } = req.body;
-  const works = getDatabase('works');
-  const work = works[id];
-
-  const validStatuses = [
-    'pending_review',
-    'in_progress',
-    'confirmed',
-    'taken_down',
-    'original'
-  ];
-
-  if (!validStatuses.includes(status)) {
-    logger.warn('Invalid status provided', { status });
-    return res.status(400).json({
-      error: errorMessages.invalidStatus,
-      details: `Valid statuses are: ${validStatuses.join(', ')}`
-    });
-  }
-
-  if (!works[id] || !work) {
-    logger.warn('Status update failed - work not found', { workId: id });
-    return res.status(404).json({
-      error: errorMessages.workNotFound,
-      details: `Work with ID ${id} does not exist`
-    });
-  }
-
-  // Check if status is unchanged
-  if (work.status === status) {
-    logger.warn('Status update failed - no change detected', {
-      workId: id,
-      currentStatus: work.status
-    });
-    return res.status(400).json({
-      error: errorMessages.noStatusChange,
-      details: `Work status is already '${work.status}'. No change needed.`
-    });
-  }
-
-  const oldStatus = work.status;
-  works[id].status = status;
-
-  // Auto-approve if status changed and not approved
-  if (works[id].approved === false) {
-    logger.debug(`Auto-approving work during status update`, { workId: id });
-    works[id].approved = true;
-  }
-
-  setDatabase('works', works);
-
-  logger.info('Sending work_updated webhook', { workId: id });
-  sendToAllWebhooks('work_updated', {
-    ...works[id],
-    updatedBy: req.user.username
-  });
-
-  logger.info('Work status updated', {
-    workId: id,
-    oldStatus,
-    newStatus: status,
-    updatedBy: req.user.username
-  });
-
-  res.json(works[id]);
-});
-
-router.put('/:id/approve', verifyToken, (req, res) => {
-  const { id } = req.params;
-  const works = getDatabase('works');
-
-  if (!works[id]) {
-    logger.warn('Approval failed - work not found', { workId: id });
-    return res.status(404).json({
-      error: errorMessages.workNotFound,
-      details: `Work with ID ${id} does not exist`
-    });
-  }
-
-  works[id].approved = true;
-  works[id].status = 'in_progress';
-  setDatabase('works', works);
-
-  logger.info('Sending work_updated webhook', { workId: id });
-  sendToAllWebhooks('work_updated', {
-    ...works[id],
-    updatedBy: req.user.username
-  });
-
-  logger.info('Work approved', {
-    workId: id,
-    title: works[id].title,
-    approvedBy: req.user.username
-  });
-
-  res.json(works[id]);
-});
-
-router.delete('/:id', verifyToken, (req, res) => {
-  if (req.user.role !== 'admin') {
-    logger.warn('Unauthorized delete attempt', { user: req.user.username });
-    return res.status(403).json({
-      error: errorMessages.onlyAdminsCanDelete,
-      details: 'Only administrators can delete works'
-    });
-  }
-
-  const id = parseInt(req.params.id);
-  const works = getDatabase('works');
-  const workEntry = Object.entries(works).find(([_, work]) => work.id === id);
-
-  if (!workEntry) {
-    logger.warn('Delete failed - work not found', { workId: id });
-    return res.status(404).json({
-      error: errorMessages.workNotFound,
-      details: `Work with ID ${id} does not exist`
-    });
-  }
-
-  const [dbKey, work] = workEntry;
-  delete works[dbKey];
-  setDatabase('works', works);
-
-  logger.info('Sending work_deleted webhook', { workId: id });
-  sendToAllWebhooks('work_deleted', {
-    ...work,
-    updatedBy: req.user.username
-  });
-
-  logger.info('Work deleted', {
-    workId: id,
-    title: work.title,
-    deletedBy: req.user.username
-  });
-
-  res.json({ success: true, deletedId: id });
-});
-
-router.put('/:id', verifyToken, (req, res) => {
-  const id = parseInt(req.params.id);
-  const works = getDatabase('works');
-  const workEntry = Object.entries(works).find(([_, work]) => work.id === id);
-
-  if (!workEntry) {
-    logger.warn('Update failed - work not found', { workId: id });
-    return res.status(404).json({
-      error: errorMessages.workNotFound,
-      details: `Work with ID ${id} does not exist`
-    });
-  }
-
-  if (req.user.role !== 'admin') {
-    const protectedFields = ['approved', 'status'];
-    const isEditingProtectedField = Object.keys(req.body).some(key =>
-      protectedFields.includes(key)
-    );
-    if (isEditingProtectedField) {
-      logger.warn('Unauthorized field update attempt', {
-        user: req.user.username,
-        fields: Object.keys(req.body).filter(key =>
-          protectedFields.includes(key)
-        )
-      });
-      return res.status(403).json({
-        error: errorMessages.unauthorizedFieldUpdate,
-        details:
-          'Non-admin users cannot update protected fields: ' +
-          protectedFields.join(', ')
-      });
-    }
-  }
-
-  const [dbKey, work] = workEntry;
-  const changes = {};
-
-  // Log changes by comparing old and new values
-  Object.keys(req.body).forEach(key => {
-    if (work[key] !== req.body[key]) {
-      changes[key] = {
-        oldValue: work[key],
-        newValue: req.body[key]
-      };
-    }
-  });
-
-  if (Object.keys(changes).length === 0) {
-    logger.info('Work update request with no changes', { workId: id });
-    return res.status(400).json({
-      error: errorMessages.noChangesDetected,
-      details: 'No fields were modified in the update request'
-    });
-  }
-
-  logger.info('Sending work_updated webhook', { workId: id });
-  sendToAllWebhooks('work_updated', {
-    ...work,
-    updatedBy: req.user.username
-  });
-
-  Object.assign(work, req.body);
-  works[dbKey] = work;
-  setDatabase('works', works);
-
-  logger.info('Work updated', {
-    workId: id,
-    changes,
-    updatedBy: req.user.username
-  });
-
-  res.json(work);
-});
-
-module.exports = router;
@@ -0,0 +1,48 @@
+/**
+ * @module routes/stats
+ * @description Express router for dashboard statistics.
+ *
+ * Routes:
+ * - GET / : Aggregate numbers over works, profiles and users. Requires the 'stats.view' permission.
+ *
+ * Query parameters:
+ * - from, to : Date range (YYYY-MM-DD) for the timeline and top reporters. Defaults to the last 30 days.
+ * - interval : 'day' (default) or 'week' buckets for the timeline.
+ * - top      : Number of top reporters to return (1-50, default 10).
+ *
+ * Results are cached briefly (see `utils/stats`).
+ *
+ * @requires express
+ * @requires ../utils/logger
+ * @requires ../utils/stats
+ * @requires ../middleware/verifyToken
+ * @requires ../middleware/requirePermission
+ * @requires ../config
+ */
+
+const express = require('express');
+const logger = require('../utils/logger');
+const { parseStatsQuery, getStats } = require('../utils/stats');
+const verifyToken = require('../middleware/verifyToken');
+const { requirePermission } = require('../middleware/requirePermission');
+const { env, errorMessages } = require('../config');
+
+const router = express.Router();
+
+const canViewStats = requirePermission('stats.view');
+
+router.get('/', verifyToken, canViewStats, (req, res) => {
+  const { options, error } = parseStatsQuery(req.query);
+  if (error) {
+    logger.warn('Invalid stats query', { query: req.query, error });
+    return res.status(400).json({
+      error: errorMessages.invalidStatsQuery,
+      details: error
+    });
+  }
+
+  res.set('Cache-Control', `private, max-age=${env.statsCacheSeconds}`);
+  res.json(getStats(options));
+});
+
+module.exports = router;
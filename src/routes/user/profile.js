@@ -6,8 +6,11 @@
  * @requires express
  * @requires bcryptjs
  * @requires ../../middleware/verifyToken
+ * @requires ../../middleware/validateBody
  * @requires ../../utils/db
+ * @requires ../../utils/sessions
  * @requires ../../config
+ * @requires ../../config/schemas
  * @requires ../../utils/logger
  */
 
@@ -26,7 +29,7 @@
  * @memberof module:routes/user/profile
  * @param {Object} req - Express request object. Requires authenticated user in req.user.
  * @param {Object} res - Express response object.
- * @returns {Object} 200 - User profile info (username, shProfileURL, role, approved, dateCreated)
+ * @returns {Object} 200 - User profile info (username, shProfileURL, role, approved, dateCreated; dateCreated is null for accounts created before it was recorded)
  * @returns {Object} 404 - Error if user not found
  */
 
@@ -40,7 +43,7 @@
  * @param {Object} req - Express request object. Requires oldPassword and newPassword in body.
  * @param {Object} res - Express response object.
  * @returns {Object} 200 - Success message
- * @returns {Object} 400 - Error if missing fields
+ * @returns {Object} 400 - Error if the body does not match the `passwordChange` schema (see `config/schemas`)
  * @returns {Object} 403 - Error if old password incorrect
  * @returns {Object} 404 - Error if user not found
  */
@@ -60,19 +63,85 @@
  * @returns {Object} 409 - Error if pending deletion request already exists
  */
 
+/**
+ * GET /delete-request
+ * Returns the status of the authenticated user's most recent account deletion request.
+ *
+ * @name GET /delete-request
+ * @function
+ * @memberof module:routes/user/profile
+ * @returns {Object} 200 - The request (status, reason, dates and admin note)
+ * @returns {Object} 404 - Error if the user has never submitted a request
+ */
+
+/**
+ * DELETE /delete-request
+ * Cancels the authenticated user's pending account deletion request.
+ *
+ * @name DELETE /delete-request
+ * @function
+ * @memberof module:routes/user/profile
+ * @returns {Object} 200 - Success message
+ * @returns {Object} 404 - Error if there is no pending request
+ */
+
+/**
+ * GET /sessions
+ * Lists the authenticated user's active sessions with device, IP and timestamps.
+ * The session making the request is flagged with `current: true`.
+ *
+ * @name GET /sessions
+ * @function
+ * @memberof module:routes/user/profile
+ * @returns {Object} 200 - Array of active sessions
+ */
+
+/**
+ * DELETE /sessions/:id
+ * Revokes one of the authenticated user's sessions.
+ *
+ * @name DELETE /sessions/:id
+ * @function
+ * @memberof module:routes/user/profile
+ * @returns {Object} 200 - Success message
+ * @returns {Object} 404 - Error if the session does not exist, is inactive or belongs to someone else
+ */
+
+/**
+ * DELETE /sessions
+ * Revokes all of the authenticated user's sessions, including the current one.
+ *
+ * @name DELETE /sessions
+ * @function
+ * @memberof module:routes/user/profile
+ * @returns {Object} 200 - Success message and number of revoked sessions
+ */
+
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const verifyToken = require('../../middleware/verifyToken');
-const { getDatabase, setDatabase } = require('../../utils/db');
+const validateBody = require('../../middleware/validateBody');
+const { getRepository } = require('../../utils/db');
+const {
+  listUserSessions,
+  revokeSession,
+  revokeUserSessions
+} = require('../../utils/sessions');
 const { errorMessages, confirmationMessages } = require('../../config');
+const requestSchemas = require('../../config/schemas');
 const logger = require('../../utils/logger');
 
 const router = express.Router();
+
+const users = getRepository('users');
+const deletionRequests = getRepository('deletionRequests');
+
+const validatePasswordChange = validateBody(requestSchemas.passwordChange);
+
 router.use(verifyToken);
 
 router.get('/', (req, res) => {
-  const users = getDatabase('users');
-  const user = users[req.user.id];
+  const user = users.get(req.user.id);
 
   if (!user) return res.status(404).json({ error: errorMessages.userNotFound });
 
@@ -82,27 +151,21 @@ router.get('/', (req, res) => {
     shProfileURL,
     role,
     approved,
-    dateCreated: user.dateCreated || 'Unknown'
+    dateCreated: user.dateCreated ?? null
   });
 });
 
-router.patch('/password', (req, res) => {
+router.patch('/password', validatePasswordChange, (req, res) => {
   const { oldPassword, newPassword } = req.body;
 
-  if (!oldPassword || !newPassword) {
-    return res.status(400).json({ error: errorMessages.missingFields });
-  }
-
-  const users = getDatabase('users');
-  const user = users[req.user.id];
+  const user = users.get(req.user.id);
   if (!user) return res.status(404).json({ error: errorMessages.userNotFound });
 
   const valid = bcrypt.compareSync(oldPassword, user.password);
   if (!valid)
     return res.status(403).json({ error: errorMessages.wrongPassword });
 
-  user.password = bcrypt.hashSync(newPassword, 10);
-  setDatabase('users', users);
+  users.update(req.user.id, { password: bcrypt.hashSync(newPassword, 10) });
 
   logger.info('User updated password', { userId: req.user.id });
   res.json({ success: true, message: confirmationMessages.passwordUpdated });
@@ -115,31 +178,28 @@ router.post('/delete-request', (req, res) => {
     return res.status(400).json({ error: errorMessages.missingFields });
   }
 
-  const users = getDatabase('users');
-  const user = users[req.user.id];
+  const user = users.get(req.user.id);
   if (!user) return res.status(404).json({ error: errorMessages.userNotFound });
 
-  const deletionRequests = getDatabase('deletionRequests');
   // Check for existing pending request
-  const existingRequest = Object.values(deletionRequests).find(
-    request => request.userId === req.user.id && request.status === 'pending'
-  );
+  const [existingRequest] = deletionRequests.query({
+    userId: req.user.id,
+    status: 'pending'
+  });
 
   if (existingRequest) {
     return res.status(409).json({ error: errorMessages.deletionRequestExists });
   }
 
-  const newId = Object.keys(deletionRequests).length + 1;
+  const newId = deletionRequests.nextId();
 
-  deletionRequests[newId] = {
+  deletionRequests.insert(newId, {
     userId: req.user.id,
     username: user.username,
     requestDate: new Date().toISOString(),
     reason,
     status: 'pending'
-  };
-
-  setDatabase('deletionRequests', deletionRequests);
+  });
 
   logger.info('User submitted account deletion request', {
     userId: req.user.id,
@@ -152,4 +212,95 @@ router.post('/delete-request', (req, res) => {
   });
 });
 
+const findLatestDeletionRequest = (userId, status) =>
+  Object.entries(deletionRequests.getAll())
+    .filter(
+      ([_, request]) =>
+        request.userId === userId && (!status || request.status === status)
+    )
+    .sort(([a], [b]) => Number(b) - Number(a))[0];
+
+router.get('/delete-request', (req, res) => {
+  const entry = findLatestDeletionRequest(req.user.id);
+
+  if (!entry) {
+    return res
+      .status(404)
+      .json({ error: errorMessages.deletionRequestNotFound });
+  }
+
+  const [id, request] = entry;
+  res.json({
+    id: Number(id),
+    status: request.status,
+    reason: request.reason,
+    requestDate: request.requestDate,
+    resolvedDate: request.resolvedDate || null,
+    note: request.note || ''
+  });
+});
+
+router.delete('/delete-request', (req, res) => {
+  const entry = findLatestDeletionRequest(req.user.id, 'pending');
+
+  if (!entry) {
+    return res
+      .status(404)
+      .json({ error: errorMessages.deletionRequestNotFound });
+  }
+
+  const [id] = entry;
+  deletionRequests.update(id, {
+    status: 'cancelled',
+    resolvedDate: new Date().toISOString()
+  });
+
+  logger.info('User cancelled account deletion request', {
+    userId: req.user.id,
+    requestId: id
+  });
+
+  res.json({
+    success: true,
+    message: confirmationMessages.deletionRequestCancelled
+  });
+});
+
+router.get('/sessions', (req, res) => {
+  const sessions = listUserSessions(req.user.id).map(session => ({
+    id: session.id,
+    device: session.device,
+    ip: session.ip,
+    created: session.created,
+    lastUsed: session.lastUsed,
+    expiresAt: session.expiresAt,
+    current: session.id === req.user.sid
+  }));
+
+  res.json(sessions);
+});
+
+router.delete('/sessions/:id', (req, res) => {
+  const { id } = req.params;
+  const ownsSession = listUserSessions(req.user.id).some(s => s.id === id);
+
+  if (!ownsSession || !revokeSession(id, 'revoked_by_user')) {
+    return res.status(404).json({ error: errorMessages.sessionNotFound });
+  }
+
+  logger.info('User revoked session', { userId: req.user.id, sessionId: id });
+  res.json({ success: true, message: confirmationMessages.sessionRevoked });
+});
+
+router.delete('/sessions', (req, res) => {
+  const revoked = revokeUserSessions(req.user.id, 'revoked_by_user');
+
+  logger.info('User revoked all sessions', { userId: req.user.id, revoked });
+  res.json({
+    success: true,
+    message: confirmationMessages.allSessionsRevoked,
+    revoked
+  });
+});
+
 module.exports = router;
@@ -1,89 +1,284 @@
 /**
- * Express router for managing Discord webhooks.
+ * Express router for managing Discord and generic webhooks.
+ * 
+ * Webhooks have a `type`:
+ * - discord : Receives Discord embeds. URL must be a Discord webhook URL.
+ * - generic : Receives the raw event as JSON at any HTTPS URL. Each request is signed
+ *             with the webhook's secret (see `utils/webhookQueue`).
+ * 
+ * Webhooks can subscribe to a subset of events:
+ * - events   : Event types to receive (see `webhookEvents` in config). `null` receives every event
+ *              except opt-in ones (see `optInWebhookEvents` in config).
+ * - statuses : Only receive events whose report has one of these statuses. `null` means any status.
  * 
  * Provides endpoints to:
- * - List all webhooks (GET /)
+ * - List all webhooks, without their secrets (GET /)
  * - Add a new webhook (POST /)
+ * - Edit the name, URL or event filter of a webhook (PATCH /:id)
  * - Delete a webhook by ID (DELETE /:id)
+ * - Rotate the signing secret of a generic webhook (POST /:id/rotate-secret)
+ * - List webhook deliveries, dead-lettered ones by default (GET /deliveries?status=)
+ * - Replay a single delivery (POST /deliveries/:id/replay)
+ * - Replay all dead-lettered deliveries (POST /deliveries/replay)
  * 
- * All routes require authentication and admin privileges.
+ * All routes require authentication and the `webhook.manage` permission. Bodies of POST / and
+ * PATCH /:id are checked against `webhookCreate` and `webhookUpdate` (see `config/schemas`).
  * 
  * @module routes/webhooks
  * @requires express
  * @requires ../utils/db
+ * @requires ../utils/webhookQueue
  * @requires ../middleware/verifyToken
+ * @requires ../middleware/validateBody
+ * @requires ../middleware/requirePermission
  * @requires ../utils/logger
  * @requires ../config
+ * @requires ../config/schemas
  */
 
+const crypto = require('crypto');
 const express = require('express');
-const { getDatabase, setDatabase } = require('../utils/db');
+const { getRepository } = require('../utils/db');
+const {
+  listDeliveries,
+  replayDelivery,
+  processDueDeliveries
+} = require('../utils/webhookQueue');
 const verifyToken = require('../middleware/verifyToken');
+const validateBody = require('../middleware/validateBody');
+const { requirePermission } = require('../middleware/requirePermission');
 const logger = require('../utils/logger');
-const { errorMessages, regexPatterns } = require('../config');
+const {
+  errorMessages,
+  regexPatterns,
+  reportStatuses,
+  webhookEvents
+} = require('../config');
+const requestSchemas = require('../config/schemas');
 
 const router = express.Router();
+router.use(verifyToken, requirePermission('webhook.manage'));
 
-// Get all webhooks
-router.get('/', verifyToken, (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: errorMessages.onlyAdminsCanAccess });
+const webhooks = getRepository('webhooks');
+
+const deliveryStatuses = ['pending', 'delivered', 'dead'];
+
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+const withoutSecret = ({ secret: _secret, ...webhook }) => webhook;
+
+const allStatuses = [...new Set(Object.values(reportStatuses).flat())];
+
+const getUrlError = (type, url) => {
+  if (type === 'discord' && !regexPatterns.discordWebhookPattern.test(url)) {
+    return errorMessages.invalidWebhookURL;
+  }
+  if (type === 'generic' && !regexPatterns.genericWebhookPattern.test(url)) {
+    return errorMessages.invalidGenericWebhookURL;
+  }
+  return null;
+};
+
+// A filter is either null (no filtering) or a non-empty array of known values
+const getFilterError = (value, allowed) => {
+  if (value === undefined || value === null) return null;
+  if (!Array.isArray(value) || value.length === 0) {
+    return 'must be null or a non-empty array';
   }
+  const unknown = value.filter(v => !allowed.includes(v));
+  return unknown.length ? `unknown values: ${unknown.join(', ')}` : null;
+};
+
+const validateSubscription = ({ events, statuses }) => {
+  const eventsError = getFilterError(events, webhookEvents);
+  if (eventsError) return `events ${eventsError}`;
+
+  const statusesError = getFilterError(statuses, allStatuses);
+  if (statusesError) return `statuses ${statusesError}`;
+
+  return null;
+};
 
-  const webhooks = getDatabase('webhooks');
-  res.json(webhooks);
+// Get all webhooks
+router.get('/', (req, res) => {
+  const result = Object.fromEntries(
+    Object.entries(webhooks.getAll()).map(([id, webhook]) => [
+      id,
+      withoutSecret(webhook)
+    ])
+  );
+  res.json(result);
 });
 
 // Add new webhook
-router.post('/', verifyToken, (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: errorMessages.onlyAdminsCanAccess });
-  }
+router.post('/', validateBody(requestSchemas.webhookCreate), (req, res) => {
+  const {
+    url,
+    name,
+    type = 'discord',
+    events = null,
+    statuses = null
+  } = req.body;
 
-  const { url, name } = req.body;
-  const webhooks = getDatabase('webhooks');
+  const urlError = getUrlError(type, url);
+  if (urlError) {
+    return res.status(400).json({ error: urlError });
+  }
 
-  if (!regexPatterns.discordWebhookPattern.test(url)) {
-    return res.status(400).json({ error: errorMessages.invalidWebhookURL });
+  const subscriptionError = validateSubscription({ events, statuses });
+  if (subscriptionError) {
+    return res.status(400).json({
+      error: errorMessages.invalidWebhookSubscription,
+      details: subscriptionError
+    });
   }
 
-  const exists = Object.values(webhooks).some(wh => wh.url === url);
+  const exists = webhooks.query({ url }).length > 0;
   if (exists) {
     return res.status(409).json({ error: errorMessages.webhookExists });
   }
 
-  const newId = Object.keys(webhooks).length + 1;
-  webhooks[newId] = {
+  const newId = webhooks.nextId();
+  const webhook = webhooks.insert(newId, {
     id: newId,
     url,
     name: name || `Webhook ${newId}`,
+    type,
+    secret: type === 'generic' ? generateSecret() : null,
+    events,
+    statuses,
     created: new Date().toISOString(),
     createdBy: req.user.username,
     lastUsed: null
-  };
+  });
 
-  setDatabase('webhooks', webhooks);
-  logger.info('New webhook added', { webhookId: newId });
-  res.status(201).json(webhooks[newId]);
+  logger.info('New webhook added', { webhookId: newId, type });
+  res.status(201).json(webhook);
 });
 
-// Delete webhook
-router.delete('/:id', verifyToken, (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: errorMessages.onlyAdminsCanAccess });
+// Edit webhook name, URL or event filter
+router.patch('/:id', validateBody(requestSchemas.webhookUpdate), (req, res) => {
+  const { id } = req.params;
+  const webhook = webhooks.get(id);
+
+  if (!webhook) {
+    return res.status(404).json({ error: errorMessages.webhookNotFound });
+  }
+
+  const { url, name, events, statuses } = req.body;
+
+  if (url !== undefined) {
+    const urlError = getUrlError(webhook.type || 'discord', url);
+    if (urlError) {
+      return res.status(400).json({ error: urlError });
+    }
+
+    const exists = webhooks
+      .query({ url })
+      .some(wh => String(wh.id) !== String(id));
+    if (exists) {
+      return res.status(409).json({ error: errorMessages.webhookExists });
+    }
   }
 
-  const webhooks = getDatabase('webhooks');
+  const subscriptionError = validateSubscription({ events, statuses });
+  if (subscriptionError) {
+    return res.status(400).json({
+      error: errorMessages.invalidWebhookSubscription,
+      details: subscriptionError
+    });
+  }
+
+  if (url !== undefined) webhook.url = url;
+  if (name) webhook.name = name;
+  if (events !== undefined) webhook.events = events;
+  if (statuses !== undefined) webhook.statuses = statuses;
+  webhook.updated = new Date().toISOString();
+  webhook.updatedBy = req.user.username;
+
+  webhooks.update(id, webhook);
+  logger.info('Webhook updated', {
+    webhookId: id,
+    fields: Object.keys(req.body),
+    updatedBy: req.user.username
+  });
+  res.json(withoutSecret(webhook));
+});
+
+// Delete webhook
+router.delete('/:id', (req, res) => {
   const { id } = req.params;
 
-  if (!webhooks[id]) {
+  if (!webhooks.delete(id)) {
     return res.status(404).json({ error: errorMessages.webhookNotFound });
   }
 
-  delete webhooks[id];
-  setDatabase('webhooks', webhooks);
   logger.info('Webhook deleted', { webhookId: id });
   res.json({ success: true });
 });
 
+// Rotate the signing secret of a generic webhook
+router.post('/:id/rotate-secret', (req, res) => {
+  const { id } = req.params;
+  const webhook = webhooks.get(id);
+
+  if (!webhook) {
+    return res.status(404).json({ error: errorMessages.webhookNotFound });
+  }
+
+  if (webhook.type !== 'generic') {
+    return res.status(400).json({ error: errorMessages.webhookHasNoSecret });
+  }
+
+  const updated = webhooks.update(id, {
+    secret: generateSecret(),
+    secretRotated: new Date().toISOString()
+  });
+
+  logger.info('Webhook secret rotated', {
+    webhookId: id,
+    rotatedBy: req.user.username
+  });
+  res.json(updated);
+});
+
+// List webhook deliveries
+router.get('/deliveries', (req, res) => {
+  const status = req.query.status || 'dead';
+  if (!deliveryStatuses.includes(status)) {
+    return res.status(400).json({ error: errorMessages.invalidDeliveryStatus });
+  }
+
+  res.json(listDeliveries(status));
+});
+
+// Replay all dead-lettered deliveries
+router.post('/deliveries/replay', (req, res) => {
+  const replayed = listDeliveries('dead').map(delivery =>
+    replayDelivery(delivery.id)
+  );
+  processDueDeliveries();
+
+  logger.info('Dead webhook deliveries replayed', {
+    count: replayed.length,
+    replayedBy: req.user.username
+  });
+  res.json({ success: true, replayed: replayed.length });
+});
+
+// Replay a single delivery
+router.post('/deliveries/:id/replay', (req, res) => {
+  const delivery = replayDelivery(req.params.id);
+  if (!delivery) {
+    return res.status(404).json({ error: errorMessages.deliveryNotFound });
+  }
+  processDueDeliveries();
+
+  logger.info('Webhook delivery replayed', {
+    deliveryId: delivery.id,
+    replayedBy: req.user.username
+  });
+  res.json(delivery);
+});
+
 module.exports = router;
@@ -0,0 +1,133 @@
+/**
+ * Checks that the OpenAPI document (see `docs/openapi`) covers every route.
+ *
+ * Builds the routes the way `routes/index.js` registers them and walks the router stack of the
+ * app. Each documented operation is matched against the stack the way Express routes a request
+ * (path parameters get a sample value), which also tells where every router is mounted. Routes no
+ * documented operation reaches and documented operations that reach no route are logged, and the
+ * script exits with code 1 if there are any.
+ *
+ * Routes of a router that no documented operation reaches are listed under
+ * `/<unknown mount path>`, since the router's path cannot be learned.
+ *
+ * Usage: `npm run check:openapi`
+ *
+ * @module scripts/checkOpenApi
+ * @requires express
+ * @requires ../routes
+ * @requires ../docs/openapi
+ * @requires ../utils/logger
+ */
+
+const express = require('express');
+const loadRoutes = require('../routes');
+const { createOpenApiSpec } = require('../docs/openapi');
+const logger = require('../utils/logger');
+
+const joinPaths = (prefix, path) =>
+  `${prefix.replace(/\/$/, '')}/${path.replace(/^\//, '')}`.replace(
+    /(.)\/$/,
+    '$1'
+  );
+
+// '/works/:id' -> '/works/{id}'
+const toOpenApiPath = path => path.replace(/:(\w+)/g, '{$1}');
+
+const toSegments = path => path.split('/').filter(Boolean);
+
+// Express only keeps a compiled matcher for mounted routers, so their paths are learned from
+// the documented operations that reach them
+const mountPaths = new Map();
+// Route -> methods reached by a documented operation
+const coveredMethods = new Map();
+
+// Finds the route that would handle a request, like the Express router does.
+// `segments` are the documented path segments that are left to match.
+const findRoute = (stack, method, segments, prefix = '/') => {
+  const url = `/${segments.map(segment => segment.replace(/^\{.+\}$/, 'x')).join('/')}`;
+
+  for (const layer of stack) {
+    if (layer.route) {
+      if (
+        layer.route.methods[method] &&
+        layer.matchers.some(match => match(url))
+      ) {
+        return layer.route;
+      }
+    } else if (layer.handle?.stack) {
+      // Routers mounted at '/' match everything, see `Layer.prototype.match`
+      const matched = layer.slash
+        ? { path: '' }
+        : layer.matchers.map(match => match(url)).find(Boolean);
+      if (!matched) continue;
+
+      const depth = toSegments(matched.path).length;
+      const mountPath = joinPaths(prefix, segments.slice(0, depth).join('/'));
+      mountPaths.set(layer.handle, mountPath);
+
+      const route = findRoute(
+        layer.handle.stack,
+        method,
+        segments.slice(depth),
+        mountPath
+      );
+      if (route) return route;
+    }
+  }
+  return null;
+};
+
+const listRoutes = (stack, prefix = '/') =>
+  stack.flatMap(layer => {
+    if (layer.route) {
+      return Object.keys(layer.route.methods).map(method => ({
+        route: layer.route,
+        method,
+        path: toOpenApiPath(joinPaths(prefix, layer.route.path))
+      }));
+    }
+    if (layer.handle?.stack) {
+      return listRoutes(
+        layer.handle.stack,
+        mountPaths.get(layer.handle) ?? '/<unknown mount path>'
+      );
+    }
+    return [];
+  });
+
+const app = express();
+const pass = (req, res, next) => next();
+loadRoutes(app, '/', pass, pass);
+
+const stale = Object.entries(createOpenApiSpec().paths).flatMap(
+  ([path, operations]) =>
+    Object.keys(operations).flatMap(method => {
+      const route = findRoute(app.router.stack, method, toSegments(path));
+      if (!route) return [`${method.toUpperCase()} ${path}`];
+
+      if (!coveredMethods.has(route)) coveredMethods.set(route, new Set());
+      coveredMethods.get(route).add(method);
+      return [];
+    })
+);
+
+const registered = listRoutes(app.router.stack);
+const undocumented = registered
+  .filter(({ route, method }) => !coveredMethods.get(route)?.has(method))
+  .map(({ method, path }) => `${method.toUpperCase()} ${path}`);
+
+if (undocumented.length > 0) {
+  logger.error('Routes missing from the OpenAPI document', {
+    routes: undocumented
+  });
+}
+if (stale.length > 0) {
+  logger.error('Documented routes that do not exist', { routes: stale });
+}
+if (undocumented.length === 0 && stale.length === 0) {
+  logger.info('OpenAPI document covers every route', {
+    routes: registered.length
+  });
+}
+
+process.exitCode = undocumented.length > 0 || stale.length > 0 ? 1 : 0;
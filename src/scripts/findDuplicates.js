@@ -0,0 +1,53 @@
+/**
+ * One-off scan for works, profiles and the other report types for things reported more than once.
+ *
+ * Reports are grouped by their canonical key (e.g. the ScribbleHub series or profile ID, see
+ * `utils/shUrl`), so URLs that differ only in slug, protocol or trailing slash are caught.
+ * Nothing is changed: the script only logs each group of duplicate IDs, plus any report whose
+ * URL cannot be parsed, and exits with code 1 if duplicates were found.
+ *
+ * Usage: `npm run scan:duplicates`
+ *
+ * @module scripts/findDuplicates
+ * @requires ../utils/db
+ * @requires ../utils/shUrl
+ * @requires ../utils/reportTypes
+ * @requires ../utils/logger
+ */
+
+const { getRepository } = require('../utils/db');
+const { findDuplicateGroups } = require('../utils/shUrl');
+const { reportTypeNames } = require('../utils/reportTypes');
+const logger = require('../utils/logger');
+
+let found = 0;
+
+reportTypeNames.forEach(reportType => {
+  const reports = getRepository(reportType).getAll();
+  const { duplicates, unparsable } = findDuplicateGroups(reportType, reports);
+
+  duplicates.forEach(({ canonicalKey, ids }) => {
+    logger.warn('Duplicate reports found', {
+      reportType,
+      canonicalKey,
+      ids,
+      urls: ids.map(id => reports[id]?.url)
+    });
+  });
+
+  if (unparsable.length > 0) {
+    logger.warn('Reports with unparsable URLs', {
+      reportType,
+      ids: unparsable
+    });
+  }
+
+  logger.info('Duplicate scan finished', {
+    reportType,
+    scanned: Object.keys(reports).length,
+    duplicateGroups: duplicates.length
+  });
+  found += duplicates.length;
+});
+
+process.exitCode = found > 0 ? 1 : 0;
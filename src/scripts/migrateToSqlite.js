@@ -0,0 +1,72 @@
+/**
+ * One-shot copy of every collection from NyaDB into the SQLite database at `env.sqlitePath`.
+ *
+ * Run it once with the server stopped, then set `STORAGE_ADAPTER=sqlite`. The NyaDB data is only
+ * read, so it stays available to switch back. Everything is written in one transaction, and the
+ * record counts of both databases are compared afterwards. The script refuses to write into a
+ * SQLite database that already holds records unless `--force` is given, in which case those
+ * collections are replaced.
+ *
+ * Usage: `npm run migrate:sqlite [-- --force]`
+ *
+ * @module scripts/migrateToSqlite
+ * @requires ../utils/db
+ * @requires ../utils/logger
+ * @requires ../config
+ */
+
+const { collectionNames, createAdapter } = require('../utils/db');
+const logger = require('../utils/logger');
+const { env } = require('../config');
+
+const force = process.argv.includes('--force');
+
+const source = createAdapter('nyadb');
+const target = createAdapter('sqlite');
+
+const countRecords = (adapter, name) =>
+  Object.keys(adapter.getAll(name)).length;
+
+try {
+  source.init(collectionNames);
+
+  const existing = collectionNames.filter(
+    name => countRecords(target, name) > 0
+  );
+  if (existing.length > 0 && !force) {
+    logger.error('SQLite database already holds data, nothing was copied', {
+      sqlitePath: env.sqlitePath,
+      collections: existing,
+      hint: 'Run with --force to replace them'
+    });
+    process.exitCode = 1;
+  } else {
+    target.transaction(() =>
+      collectionNames.forEach(name =>
+        target.replaceAll(name, source.getAll(name))
+      )
+    );
+
+    const counts = Object.fromEntries(
+      collectionNames.map(name => [name, countRecords(target, name)])
+    );
+    const mismatched = collectionNames.filter(
+      name => counts[name] !== countRecords(source, name)
+    );
+
+    if (mismatched.length > 0) {
+      logger.error('Record counts differ after the copy', {
+        collections: mismatched
+      });
+      process.exitCode = 1;
+    } else {
+      logger.info('Copied NyaDB into SQLite', {
+        sqlitePath: env.sqlitePath,
+        counts
+      });
+    }
+  }
+} finally {
+  source.close();
+  target.close();
+}
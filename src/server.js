@@ -3,9 +3,9 @@
  *
  * - Loads environment variables from `.env`.
  * - Initializes Express app with security, CORS, JSON parsing, and logging middleware.
- * - Initializes the database and logs the result.
  * - Applies rate limiting to authentication routes.
- * - Sets up API routes for authentication, users, works, profiles, webhooks, and versioning.
+ * - Runs startup tasks (see `bootstrap`): database initialization and migrations.
+ * - Sets up all API routes (see `routes/index.js`), described in the OpenAPI document served at `docs`.
  * - Handles and logs errors at both middleware and server levels.
  * - Starts the HTTP server on the configured port.
  *
@@ -13,18 +13,11 @@
  * @requires dotenv
  * @requires express
  * @requires cors
- * @requires ./middleware/corsConfig
- * @requires ./middleware/securityHeaders
- * @requires ./middleware/authLimiter
- * @requires ./utils/db
- * @requires ./utils/logger
  * @requires ./config
- * @requires ./routes/auth
- * @requires ./routes/users
- * @requires ./routes/works
- * @requires ./routes/profiles
- * @requires ./routes/webhooks
- * @requires ./routes/version
+ * @requires ./utils/logger
+ * @requires ./bootstrap
+ * @requires ./middleware
+ * @requires ./routes
  */
 
 require('dotenv').config();
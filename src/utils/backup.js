@@ -0,0 +1,293 @@
+/**
+ * Snapshots of the database.
+ *
+ * A snapshot is a JSON file in `env.backupDir` holding every collection in `collectionNames`
+ * (see `utils/db`). Evidence files are not included. Snapshots are taken on a schedule
+ * (every `env.backupIntervalHours`), by admins (see `routes/admin/backups`) and automatically
+ * before a restore or a data migration (see `migrations`). Only the newest `env.backupRetentionCount` are kept.
+ *
+ * Snapshot IDs are the file names without `.json`: the creation time followed by the reason,
+ * e.g. `2026-10-19T16-30-00-000Z-manual`.
+ *
+ * @module utils/backup
+ * @requires fs
+ * @requires path
+ * @requires ./db
+ * @requires ./logger
+ * @requires ../config
+ */
+
+/**
+ * Writes a snapshot of every collection and prunes old snapshots.
+ *
+ * @function
+ * @param {Object} meta - Why the snapshot is taken.
+ * @param {'scheduled'|'manual'|'pre-restore'|'pre-migration'} meta.reason - What triggered the snapshot.
+ * @param {string|null} [meta.createdBy] - The user who requested it, if any.
+ * @param {string[]} [meta.keep] - Snapshot IDs that must not be pruned, e.g. the one being restored.
+ * @returns {{ id: string, reason: string, createdAt: string, size: number }} The new snapshot.
+ */
+
+/**
+ * Lists the stored snapshots, newest first.
+ *
+ * @function
+ * @returns {{ id: string, reason: string, createdAt: string, size: number }[]} The snapshots with their size in bytes.
+ */
+
+/**
+ * Returns the file of a snapshot.
+ *
+ * @function
+ * @param {string} id - The snapshot ID.
+ * @returns {string|null} The absolute path, or null if the ID is malformed or the file does not exist.
+ */
+
+/**
+ * Checks that parsed snapshot data can be restored: the expected format, and every collection
+ * present as an object of records. 'meta' may be missing from snapshots taken before it existed;
+ * it is restored empty so the migrations run again.
+ *
+ * @function
+ * @param {*} data - The parsed snapshot file.
+ * @returns {string|null} A description of the first problem, or null if the snapshot is valid.
+ */
+
+/**
+ * Replaces every collection with the contents of a snapshot, after taking a 'pre-restore'
+ * snapshot of the current data.
+ *
+ * @function
+ * @param {string} id - The snapshot to restore.
+ * @param {string} restoredBy - The user who requested the restore.
+ * @returns {{ error?: 'notFound'|'invalid', details?: string, restored?: string, preRestoreSnapshot?: Object }}
+ *   The restored and pre-restore snapshots, or why the snapshot could not be restored.
+ */
+
+/**
+ * Starts taking scheduled snapshots every `env.backupIntervalHours`. Does nothing if the
+ * interval is 0 or the schedule is already running.
+ *
+ * @function
+ * @returns {void}
+ * @throws {Error} If the interval is not a number of hours of 0 or more.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { collectionNames, getRepository, transaction } = require('./db');
+const logger = require('./logger');
+const { env } = require('../config');
+
+const SNAPSHOT_FORMAT = 'msga-snapshot';
+const SNAPSHOT_VERSION = 1;
+const snapshotIdPattern =
+  /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z-(scheduled|manual|pre-restore|pre-migration)$/;
+
+// Collections that snapshots from older versions may lack
+const optionalCollections = ['meta'];
+
+const backupDir = path.resolve(env.backupDir);
+
+// Longer timer delays overflow and fire after 1 ms
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+let scheduleTimer = null;
+
+const toSnapshotInfo = fileName => {
+  const id = path.basename(fileName, '.json');
+  const match = snapshotIdPattern.exec(id);
+  if (!match) return null;
+
+  // 2026-10-19T16-30-00-000Z -> 2026-10-19T16:30:00.000Z
+  const [date, time] = id.slice(0, 24).split('T');
+  const [hours, minutes, seconds, ms] = time.split('-');
+  let size;
+  try {
+    size = fs.statSync(path.join(backupDir, fileName)).size;
+  } catch {
+    return null;
+  }
+
+  return {
+    id,
+    reason: match[1],
+    createdAt: `${date}T${hours}:${minutes}:${seconds}.${ms}`,
+    size
+  };
+};
+
+const listSnapshots = () => {
+  if (!fs.existsSync(backupDir)) return [];
+  return fs
+    .readdirSync(backupDir)
+    .filter(fileName => fileName.endsWith('.json'))
+    .map(toSnapshotInfo)
+    .filter(Boolean)
+    .sort((a, b) => b.id.localeCompare(a.id));
+};
+
+const pruneSnapshots = (keep = []) => {
+  listSnapshots()
+    .slice(env.backupRetentionCount)
+    .filter(snapshot => !keep.includes(snapshot.id))
+    .forEach(snapshot => {
+      try {
+        fs.rmSync(path.join(backupDir, `${snapshot.id}.json`), {
+          force: true
+        });
+      } catch (error) {
+        logger.error('Failed to remove old snapshot', {
+          snapshotId: snapshot.id,
+          error: error.message
+        });
+      }
+    });
+};
+
+const createSnapshot = ({ reason, createdBy = null, keep = [] }) => {
+  const createdAt = new Date().toISOString();
+  const id = `${createdAt.replace(/[:.]/g, '-')}-${reason}`;
+  const filePath = path.join(backupDir, `${id}.json`);
+
+  const snapshot = {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    createdAt,
+    reason,
+    createdBy,
+    collections: Object.fromEntries(
+      collectionNames.map(name => [name, getRepository(name).getAll()])
+    )
+  };
+
+  // Write to a temporary file first so a crash never leaves a truncated snapshot behind
+  fs.mkdirSync(backupDir, { recursive: true });
+  fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(snapshot));
+  fs.renameSync(`${filePath}.tmp`, filePath);
+
+  pruneSnapshots(keep);
+
+  const info = toSnapshotInfo(`${id}.json`);
+  logger.info('Snapshot created', { ...info, createdBy });
+  return info;
+};
+
+const getSnapshotPath = id => {
+  if (typeof id !== 'string' || !snapshotIdPattern.test(id)) return null;
+  const filePath = path.join(backupDir, `${id}.json`);
+  return fs.existsSync(filePath) ? filePath : null;
+};
+
+const isPlainObject = value =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const validateSnapshot = data => {
+  if (!isPlainObject(data) || data.format !== SNAPSHOT_FORMAT) {
+    return 'Not an MSGA snapshot';
+  }
+  if (data.version !== SNAPSHOT_VERSION) {
+    return `Unsupported snapshot version ${data.version}`;
+  }
+  if (!isPlainObject(data.collections)) return "Missing 'collections'";
+
+  for (const name of collectionNames) {
+    const collection = data.collections[name];
+    if (collection === undefined && optionalCollections.includes(name)) {
+      continue;
+    }
+    if (!isPlainObject(collection)) {
+      return `Collection '${name}' is missing or not an object`;
+    }
+    const badKey = Object.keys(collection).find(
+      key => !isPlainObject(collection[key])
+    );
+    if (badKey !== undefined) {
+      return `Record '${badKey}' in '${name}' is not an object`;
+    }
+  }
+
+  const unknown = Object.keys(data.collections).find(
+    name => !collectionNames.includes(name)
+  );
+  if (unknown) return `Unknown collection '${unknown}'`;
+
+  return null;
+};
+
+const restoreSnapshot = (id, restoredBy) => {
+  const filePath = getSnapshotPath(id);
+  if (!filePath) return { error: 'notFound' };
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return { error: 'invalid', details: `Unreadable file: ${error.message}` };
+  }
+
+  const problem = validateSnapshot(data);
+  if (problem) return { error: 'invalid', details: problem };
+
+  const preRestoreSnapshot = createSnapshot({
+    reason: 'pre-restore',
+    createdBy: restoredBy,
+    // It may be the oldest snapshot kept, and is still listed as restored afterwards
+    keep: [id]
+  });
+
+  transaction(() =>
+    collectionNames.forEach(name =>
+      getRepository(name).replaceAll(data.collections[name] || {})
+    )
+  );
+
+  logger.warn('Database restored from snapshot', {
+    snapshotId: id,
+    preRestoreSnapshot: preRestoreSnapshot.id,
+    restoredBy
+  });
+  return { restored: id, preRestoreSnapshot };
+};
+
+// Chains timers, each at most `MAX_TIMER_MS`, until `delayMs` has passed
+const scheduleSnapshot = (delayMs, intervalMs) => {
+  scheduleTimer = setTimeout(
+    () => {
+      if (delayMs > MAX_TIMER_MS) {
+        return scheduleSnapshot(delayMs - MAX_TIMER_MS, intervalMs);
+      }
+
+      try {
+        createSnapshot({ reason: 'scheduled' });
+      } catch (error) {
+        logger.error('Scheduled snapshot failed', { error: error.message });
+      }
+      scheduleSnapshot(intervalMs, intervalMs);
+    },
+    Math.min(delayMs, MAX_TIMER_MS)
+  );
+  scheduleTimer.unref();
+};
+
+const startBackupSchedule = () => {
+  const hours = env.backupIntervalHours;
+  if (!Number.isFinite(hours) || hours < 0) {
+    throw new Error(
+      `Invalid BACKUP_INTERVAL_HOURS '${process.env.BACKUP_INTERVAL_HOURS}', expected a number of hours (0 disables snapshots)`
+    );
+  }
+  if (scheduleTimer || hours === 0) return;
+
+  const intervalMs = hours * 60 * 60 * 1000;
+  scheduleSnapshot(intervalMs, intervalMs);
+};
+
+module.exports = {
+  createSnapshot,
+  listSnapshots,
+  getSnapshotPath,
+  validateSnapshot,
+  restoreSnapshot,
+  startBackupSchedule
+};
@@ -0,0 +1,103 @@
+/**
+ * Minimal CSV (RFC 4180) helpers for bulk import and export.
+ *
+ * Exported cells that start with `=`, `+`, `-`, `@`, tab or carriage return are prefixed with
+ * `'` so spreadsheet applications do not evaluate report data as formulas. `parseCsv` removes
+ * that prefix again, so exported files can be imported unchanged.
+ *
+ * @module utils/csv
+ */
+
+/**
+ * Formats one CSV line, quoting cells where needed.
+ *
+ * @function
+ * @param {Array<*>} values - The cell values. `null` and `undefined` become empty cells.
+ * @returns {string} The CSV line, terminated with CRLF.
+ */
+
+/**
+ * Parses CSV text whose first line is a header into one object per row.
+ * Blank lines are ignored.
+ *
+ * @function
+ * @param {string} text - The CSV text.
+ * @returns {{ rows?: Object<string, string>[], error?: string }} The parsed rows, or a description of the syntax error.
+ */
+
+const formulaPrefix = /^[=+\-@\t\r]/;
+const escapedFormula = /^'(?=[=+\-@\t\r])/;
+
+const formatCell = value => {
+  if (value === null || value === undefined) return '';
+
+  let cell = String(value);
+  if (formulaPrefix.test(cell)) cell = `'${cell}`;
+
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+};
+
+const toCsvLine = values => values.map(formatCell).join(',') + '\r\n';
+
+const parseCsv = text => {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      if (cell !== '') {
+        return { error: `Unexpected quote on line ${records.length + 1}` };
+      }
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) return { error: 'Unterminated quoted field' };
+  if (cell !== '' || record.length > 0) {
+    record.push(cell);
+    records.push(record);
+  }
+
+  const [header, ...lines] = records.filter(
+    line => line.length > 1 || line[0] !== ''
+  );
+  if (!header) return { rows: [] };
+
+  const columns = header.map(column => column.trim());
+  const rows = lines.map(line =>
+    Object.fromEntries(
+      columns.map((column, i) => [
+        column,
+        (line[i] ?? '').replace(escapedFormula, '')
+      ])
+    )
+  );
+
+  return { rows };
+};
+
+module.exports = { toCsvLine, parseCsv };
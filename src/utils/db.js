@@ -1,39 +1,168 @@
 /**
- * Initializes the database by ensuring all required collections exist.
- * Required collections: 'users', 'works', 'profiles', 'blockedTokens', 'webhooks'.
+ * Storage access.
+ *
+ * Each collection is used through a repository (`getRepository`) with per-record operations, so
+ * a request only writes the records it changes. The records themselves are kept by a storage
+ * adapter chosen with `env.storageAdapter`: 'nyadb' (default, see `utils/storage/nyadb`) or
+ * 'sqlite' (see `utils/storage/sqlite`).
+ *
+ * An adapter is an object with:
+ * - `init(collectionNames)`: Creates missing collections.
+ * - `getAll(name)`: The whole collection as `{ [key]: record }`.
+ * - `get(name, id)`: One record, or null.
+ * - `find(name, where)`: Records whose fields equal every value in `where`; a missing field
+ *   equals null.
+ * - `insert(name, id, record)`: Adds a record; throws if the key is taken.
+ * - `put(name, id, record)`: Adds or replaces a record.
+ * - `remove(name, id)`: Removes a record; returns whether it existed.
+ * - `replaceAll(name, data)`: Replaces the whole collection.
+ * - `transaction(fn)`: Runs `fn` so that its writes are kept only if it returns.
+ * - `close()`: Releases the storage.
+ *
+ * Records are plain JSON: fields set to `undefined` are dropped when stored, and every read
+ * returns a copy, so changing a record has no effect until it is written back.
+ *
+ * @module utils/db
+ * @requires ./reportTypes
+ * @requires ./storage/nyadb
+ * @requires ./storage/sqlite
+ * @requires ../config
  */
 
 /**
- * Retrieves the data for the specified collection from the database.
- * @param {string} name - The name of the collection to retrieve.
- * @returns {*} The data stored in the specified collection.
+ * Names of the collections the application uses: 'users', one per report type (see
+ * `config/reportTypes`), 'blockedTokens', 'webhooks', 'deletionRequests', 'reportHistory',
+ * 'webhookDeliveries', 'sessions', 'comments', 'evidence', 'blocklist', 'shadowQueue' and 'meta'
+ * (the schema version, see `migrations`, and the retired IDs, see `retireId()`).
+ * Snapshots (see `utils/backup`) cover exactly these.
+ * @type {string[]}
  */
 
 /**
- * Sets the data for the specified collection in the database.
- * @param {string} name - The name of the collection to set.
- * @param {*} data - The data to store in the collection.
+ * Creates a storage adapter.
+ * @param {'nyadb'|'sqlite'} name - The adapter, see `env.storageAdapter`.
+ * @param {Object} [options]
+ * @param {string} [options.sqlitePath] - Database file of the 'sqlite' adapter (default: `env.sqlitePath`).
+ * @returns {Object} The adapter.
+ * @throws {Error} If the adapter name is unknown.
  */
 
-const NyaDB = require('@decaded/nyadb');
-const db = new NyaDB();
-
-const initDB = () => {
-  const required = [
-    'users',
-    'works',
-    'profiles',
-    'blockedTokens',
-    'webhooks',
-    'deletionRequests'
-  ];
-  required.forEach(name => {
-    if (!db.getList().includes(name)) db.create(name);
-  });
+/**
+ * Initializes the database by ensuring all collections in `collectionNames` exist.
+ */
+
+/**
+ * Returns the repository of a collection.
+ *
+ * - `get(id)`: The record stored under `id`, or null.
+ * - `getAll()`: The whole collection as `{ [key]: record }`.
+ * - `query(filter)`: The records matching `filter`, either an object of field values
+ *   (handled by the adapter, e.g. in SQL) or a predicate function.
+ * - `insert(id, record)`: Stores a new record under `id` and returns it; throws if the key is taken.
+ * - `update(id, changes)`: Merges `changes` into the record and stores it. Fields set to
+ *   `undefined` are removed. Returns the stored record, or null if there is none.
+ * - `delete(id)`: Removes the record; returns whether it existed.
+ * - `nextId()`: The highest numeric key plus one, or 1 for an empty collection. Retired IDs
+ *   count as used.
+ * - `retireId(id)`: Marks an ID as used for good, so `nextId()` never hands it out again after
+ *   its record is removed. Use it when other records still refer to the removed one.
+ * - `replaceAll(data)`: Replaces the whole collection (snapshots and migrations only).
+ *
+ * @param {string} name - The name of the collection.
+ * @returns {Object} The repository.
+ */
+
+/**
+ * Runs `fn` in a transaction: if it throws, none of the writes it made are kept. Use it when a
+ * request changes several records that must stay consistent, or reads a value (such as
+ * `nextId()`) that a write depends on. Transactions can be nested.
+ * @param {function(): *} fn - The work to do. Must be synchronous.
+ * @returns {*} What `fn` returns.
+ */
+
+const { reportTypeNames } = require('./reportTypes');
+const { env } = require('../config');
+
+const collectionNames = [
+  'users',
+  ...reportTypeNames,
+  'blockedTokens',
+  'webhooks',
+  'deletionRequests',
+  'reportHistory',
+  'webhookDeliveries',
+  'sessions',
+  'comments',
+  'evidence',
+  'blocklist',
+  'shadowQueue',
+  'meta'
+];
+
+const createAdapter = (name, { sqlitePath = env.sqlitePath } = {}) => {
+  // Required on demand so each backend's package is only needed when it is used
+  if (name === 'nyadb') {
+    return require('./storage/nyadb').createNyaDBAdapter();
+  }
+  if (name === 'sqlite') {
+    return require('./storage/sqlite').createSqliteAdapter(sqlitePath);
+  }
+  throw new Error(`Unknown storage adapter: ${name}`);
 };
 
-const getDatabase = name => db.get(name);
+const adapter = createAdapter(env.storageAdapter);
+
+const initDB = () => adapter.init(collectionNames);
 
-const setDatabase = (name, data) => db.set(name, data);
+const transaction = fn => adapter.transaction(fn);
 
-module.exports = { initDB, getDatabase, setDatabase };
+const getRepository = name => ({
+  get: id => adapter.get(name, id),
+
+  getAll: () => adapter.getAll(name),
+
+  query: filter =>
+    typeof filter === 'function'
+      ? Object.values(adapter.getAll(name)).filter(filter)
+      : adapter.find(name, filter),
+
+  insert: (id, record) => {
+    adapter.insert(name, id, record);
+    return record;
+  },
+
+  update: (id, changes) =>
+    transaction(() => {
+      const record = adapter.get(name, id);
+      if (!record) return null;
+
+      const updated = JSON.parse(JSON.stringify({ ...record, ...changes }));
+      adapter.put(name, id, updated);
+      return updated;
+    }),
+
+  delete: id => adapter.remove(name, id),
+
+  nextId: () => {
+    const ids = Object.keys(adapter.getAll(name)).map(Number);
+    const retired = adapter.get('meta', 'retiredIds')?.[name] ?? 0;
+    return Math.max(retired, ...ids) + 1;
+  },
+
+  retireId: id =>
+    transaction(() => {
+      const retired = adapter.get('meta', 'retiredIds') || {};
+      if ((retired[name] ?? 0) >= Number(id)) return;
+      adapter.put('meta', 'retiredIds', { ...retired, [name]: Number(id) });
+    }),
+
+  replaceAll: data => adapter.replaceAll(name, data)
+});
+
+module.exports = {
+  collectionNames,
+  createAdapter,
+  initDB,
+  getRepository,
+  transaction
+};
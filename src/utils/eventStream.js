@@ -0,0 +1,134 @@
+/**
+ * In-process hub for the Server-Sent Events stream (`GET /events`).
+ *
+ * Every event passed to `sendToAllWebhooks` is also published here. Events get increasing
+ * numeric IDs and the most recent `env.sseBufferSize` are kept in memory, so a client that
+ * reconnects with `Last-Event-ID` receives what it missed. IDs start at the process start time
+ * in milliseconds, so they keep increasing across restarts; a client whose last ID is older than
+ * the buffer receives a `reset` event and should reload its data.
+ *
+ * Clients without full access (see the 'events.full' permission) only receive events about
+ * approved reports. Full access is checked again with every heartbeat, and the stream is closed
+ * once it is lost, so the client reconnects with what it may see now.
+ *
+ * @module utils/eventStream
+ * @requires ./logger
+ * @requires ../config
+ */
+
+/**
+ * Publishes an event to every connected client and stores it for resuming.
+ *
+ * @function
+ * @param {string} eventType - The event type, e.g. 'work_created'.
+ * @param {Object} data - The event data, as passed to `sendToAllWebhooks`.
+ * @returns {Object} The stored event.
+ */
+
+/**
+ * Opens the event stream on a response, replays missed events and starts its heartbeat.
+ * The client is removed when its response closes.
+ *
+ * @function
+ * @param {import('express').Response} res - The response to stream events to.
+ * @param {Object} options - Client options.
+ * @param {boolean} options.fullAccess - Whether the client receives every event.
+ * @param {function(): boolean} [options.checkAccess] - Tells whether the client still has full access.
+ * @param {string} [options.lastEventId] - The `Last-Event-ID` sent by a reconnecting client.
+ * @returns {boolean} False if the client limit is reached and the client was not added.
+ */
+
+const logger = require('./logger');
+const { env } = require('../config');
+
+const clients = new Set();
+const buffer = [];
+let lastId = Date.now();
+
+const isPublicEvent = event => event.data?.approved === true;
+
+const formatEvent = event =>
+  `id: ${event.id}\nevent: ${event.event}\ndata: ${JSON.stringify({
+    event: event.event,
+    timestamp: event.timestamp,
+    data: event.data
+  })}\n\n`;
+
+const sendTo = (client, event) => {
+  if (client.fullAccess || isPublicEvent(event)) {
+    client.res.write(formatEvent(event));
+  }
+};
+
+const publishEvent = (eventType, data) => {
+  const event = {
+    id: ++lastId,
+    event: eventType,
+    timestamp: new Date().toISOString(),
+    data
+  };
+
+  buffer.push(event);
+  if (buffer.length > env.sseBufferSize) buffer.shift();
+
+  clients.forEach(client => sendTo(client, event));
+  return event;
+};
+
+const replayMissed = (client, lastEventId) => {
+  const since = Number(lastEventId);
+  if (!lastEventId || !Number.isInteger(since)) return;
+
+  const oldest = buffer[0]?.id ?? lastId + 1;
+  if (since < oldest - 1 || since > lastId) {
+    // Events were dropped from the buffer (or the ID is unknown): the client must reload
+    client.res.write('event: reset\ndata: {}\n\n');
+    return;
+  }
+
+  buffer
+    .filter(event => event.id > since)
+    .forEach(event => sendTo(client, event));
+};
+
+const addClient = (res, { fullAccess, checkAccess, lastEventId }) => {
+  if (clients.size >= env.sseMaxClients) return false;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop reverse proxies (nginx) from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+
+  const client = { res, fullAccess };
+  clients.add(client);
+  replayMissed(client, lastEventId);
+
+  const heartbeat = setInterval(() => {
+    if (client.fullAccess && checkAccess && !checkAccess()) {
+      logger.debug('Event stream client lost full access');
+      clients.delete(client);
+      return res.end();
+    }
+    res.write(`: heartbeat ${Date.now()}\n\n`);
+  }, env.sseHeartbeatMs);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+    logger.debug('Event stream client disconnected', {
+      clients: clients.size
+    });
+  });
+
+  logger.debug('Event stream client connected', {
+    fullAccess,
+    clients: clients.size
+  });
+  return true;
+};
+
+module.exports = { publishEvent, addClient };
@@ -0,0 +1,209 @@
+/**
+ * Storage for evidence files attached to reports.
+ *
+ * Files are written to `env.evidenceDir` under the SHA-256 hash of their content
+ * (`<hash>.<ext>`), so the same file uploaded twice is stored once. Each upload creates a
+ * record in the `evidence` collection that links the file to a report. A file is removed from
+ * disk when the last record pointing at it is deleted.
+ *
+ * The file type is detected from the content and must match the declared `Content-Type`,
+ * so a script cannot be uploaded as an "image".
+ *
+ * @module utils/evidence
+ * @requires fs
+ * @requires path
+ * @requires crypto
+ * @requires ./db
+ * @requires ./logger
+ * @requires ../config
+ */
+
+/**
+ * Detects the type of a file from its content.
+ *
+ * @function
+ * @param {Buffer} buffer - The file content.
+ * @returns {string|null} One of the `evidenceTypes` MIME types, or null if the content is not recognized.
+ */
+
+/**
+ * Stores a file and links it to a report.
+ *
+ * @function
+ * @param {Buffer} buffer - The file content.
+ * @param {Object} details - Upload details.
+ * @param {string} details.mimeType - The detected MIME type.
+ * @param {string} [details.originalName] - The file name given by the client.
+ * @param {string} details.reportType - The report collection (e.g. 'works', see `config/reportTypes`).
+ * @param {number|string} details.reportId - The report ID.
+ * @param {Object} details.user - The uploading user (`req.user`).
+ * @returns {Object} The stored evidence record.
+ */
+
+/**
+ * Lists the evidence records of a report, oldest first.
+ *
+ * @function
+ * @param {string} reportType - The report collection (e.g. 'works', see `config/reportTypes`).
+ * @param {number|string} reportId - The report ID.
+ * @returns {Object[]} Evidence records.
+ */
+
+/**
+ * Returns the absolute path of an evidence record's file.
+ *
+ * @function
+ * @param {Object} record - The evidence record.
+ * @returns {string} The file path.
+ */
+
+/**
+ * Deletes an evidence record, and its file if no other record uses it.
+ *
+ * @function
+ * @param {number|string} id - The evidence ID.
+ * @returns {Object|null} The deleted record, or null if it does not exist.
+ */
+
+/**
+ * Deletes every evidence record of a report and any files left without a record.
+ *
+ * @function
+ * @param {string} reportType - The report collection (e.g. 'works', see `config/reportTypes`).
+ * @param {number|string} reportId - The report ID.
+ * @returns {number} The number of records deleted.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getRepository, transaction } = require('./db');
+const logger = require('./logger');
+const { env, evidenceTypes } = require('../config');
+
+const evidence = getRepository('evidence');
+
+const evidenceDir = path.resolve(env.evidenceDir);
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length &&
+  bytes.every((byte, i) => buffer[offset + i] === byte);
+
+const isPlainText = buffer => {
+  if (buffer.includes(0)) return false;
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const detectMimeType = buffer => {
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return 'image/png';
+  }
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (
+    startsWith(buffer, Buffer.from('GIF87a')) ||
+    startsWith(buffer, Buffer.from('GIF89a'))
+  ) {
+    return 'image/gif';
+  }
+  if (
+    startsWith(buffer, Buffer.from('RIFF')) &&
+    startsWith(buffer, Buffer.from('WEBP'), 8)
+  ) {
+    return 'image/webp';
+  }
+  return isPlainText(buffer) ? 'text/plain' : null;
+};
+
+const getEvidencePath = record => path.join(evidenceDir, record.fileName);
+
+const storeEvidence = (
+  buffer,
+  { mimeType, originalName, reportType, reportId, user }
+) => {
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+  const fileName = `${hash}.${evidenceTypes[mimeType]}`;
+  const filePath = path.join(evidenceDir, fileName);
+
+  if (!fs.existsSync(filePath)) {
+    fs.mkdirSync(evidenceDir, { recursive: true });
+    fs.writeFileSync(filePath, buffer);
+  }
+
+  return transaction(() => {
+    const newId = evidence.nextId();
+
+    return evidence.insert(newId, {
+      id: newId,
+      reportType,
+      reportId: Number(reportId),
+      hash,
+      fileName,
+      mimeType,
+      size: buffer.length,
+      originalName: originalName
+        ? path.basename(originalName).slice(0, 255)
+        : null,
+      uploadedBy: user.username,
+      uploadedById: user.id,
+      created: new Date().toISOString()
+    });
+  });
+};
+
+const listEvidence = (reportType, reportId) =>
+  evidence
+    .query({ reportType, reportId: Number(reportId) })
+    .sort((a, b) => a.id - b.id);
+
+// Removes files that no record refers to any more
+const removeOrphanedFiles = fileNames => {
+  const inUse = new Set(
+    Object.values(evidence.getAll()).map(record => record.fileName)
+  );
+
+  fileNames.forEach(fileName => {
+    if (inUse.has(fileName)) return;
+    try {
+      fs.rmSync(path.join(evidenceDir, fileName), { force: true });
+    } catch (error) {
+      logger.error('Failed to remove evidence file', {
+        fileName,
+        error: error.message
+      });
+    }
+  });
+};
+
+const removeEvidence = id => {
+  const record = evidence.get(id);
+  if (!record) return null;
+
+  evidence.delete(id);
+  removeOrphanedFiles([record.fileName]);
+
+  return record;
+};
+
+const removeReportEvidence = (reportType, reportId) => {
+  const records = listEvidence(reportType, reportId);
+  if (records.length === 0) return 0;
+
+  transaction(() => records.forEach(record => evidence.delete(record.id)));
+  removeOrphanedFiles(records.map(record => record.fileName));
+
+  return records.length;
+};
+
+module.exports = {
+  detectMimeType,
+  storeEvidence,
+  listEvidence,
+  getEvidencePath,
+  removeEvidence,
+  removeReportEvidence
+};
@@ -0,0 +1,156 @@
+/**
+ * Atom and RSS rendering for the public feeds of resolved reports.
+ *
+ * A report appears in the feed once it is approved and has reached one of the `feedStatuses`
+ * in config (e.g. a work that was taken down), until it is deleted. Entries are dated with the
+ * time the report entered that status (`statusChangedAt`), falling back to when it was reported.
+ *
+ * @module utils/feed
+ * @requires ./db
+ * @requires ./reportTypes
+ * @requires ./trash
+ * @requires ../config
+ */
+
+/**
+ * Collects the feed entries of the given report collections, newest first.
+ *
+ * @function
+ * @param {string[]} reportTypes - The report types to include, e.g. ['works'].
+ * @param {number} [limit=50] - Maximum number of entries.
+ * @returns {{ id: string, title: string, url: string, status: string, reportType: string, date: Date }[]} The entries.
+ */
+
+/**
+ * Renders entries as an Atom 1.0 document.
+ *
+ * @function
+ * @param {Object[]} entries - Entries returned by `getFeedEntries`.
+ * @param {Object} meta - Feed details.
+ * @param {string} meta.title - The feed title.
+ * @param {string} meta.selfUrl - The URL the feed is served from.
+ * @param {string} meta.siteUrl - The website the feed belongs to.
+ * @returns {string} The XML document.
+ */
+
+/**
+ * Renders entries as an RSS 2.0 document.
+ *
+ * @function
+ * @param {Object[]} entries - Entries returned by `getFeedEntries`.
+ * @param {Object} meta - Feed details (see `renderAtom`).
+ * @returns {string} The XML document.
+ */
+
+const { getRepository } = require('./db');
+const { getReportType } = require('./reportTypes');
+const { isDeleted } = require('./trash');
+const { feedStatuses } = require('../config');
+
+const escapeXml = value =>
+  String(value ?? '').replace(
+    /[<>&'"]/g,
+    char =>
+      ({
+        '<': '&lt;',
+        '>': '&gt;',
+        '&': '&amp;',
+        "'": '&apos;',
+        '"': '&quot;'
+      })[char]
+  );
+
+const formatStatus = status => {
+  const label = status.replace(/_/g, ' ');
+  return label.charAt(0).toUpperCase() + label.slice(1);
+};
+
+const getEntryDate = report =>
+  new Date(
+    report.statusChangedAt?.[report.status] ||
+      report.reportedAt ||
+      `${report.dateReported}T00:00:00.000Z`
+  );
+
+const getFeedEntries = (reportTypes, limit = 50) =>
+  reportTypes
+    .flatMap(reportType =>
+      Object.values(getRepository(reportType).getAll())
+        .filter(
+          report =>
+            report.approved === true &&
+            !isDeleted(report) &&
+            feedStatuses[reportType].includes(report.status)
+        )
+        .map(report => ({
+          id: `urn:msga:${reportType}:${report.id}:${report.status}`,
+          title: report.title,
+          url: report.url,
+          status: report.status,
+          reportType,
+          date: getEntryDate(report)
+        }))
+    )
+    .filter(entry => !Number.isNaN(entry.date.getTime()))
+    .sort((a, b) => b.date - a.date)
+    .slice(0, limit);
+
+const describeEntry = entry =>
+  `${getReportType(entry.reportType).label} status: ${formatStatus(entry.status)}`;
+
+const getUpdated = entries => (entries[0] ? entries[0].date : new Date(0));
+
+const renderAtom = (entries, { title, selfUrl, siteUrl }) =>
+  [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeXml(title)}</title>`,
+    `  <id>${escapeXml(selfUrl)}</id>`,
+    `  <link rel="self" href="${escapeXml(selfUrl)}"/>`,
+    `  <link rel="alternate" href="${escapeXml(siteUrl)}"/>`,
+    `  <updated>${getUpdated(entries).toISOString()}</updated>`,
+    '  <author><name>MSGA</name></author>',
+    ...entries.map(entry =>
+      [
+        '  <entry>',
+        `    <id>${escapeXml(entry.id)}</id>`,
+        `    <title>${escapeXml(`${entry.title} - ${formatStatus(entry.status)}`)}</title>`,
+        `    <link href="${escapeXml(entry.url)}"/>`,
+        `    <updated>${entry.date.toISOString()}</updated>`,
+        `    <category term="${escapeXml(entry.status)}"/>`,
+        `    <summary>${escapeXml(describeEntry(entry))}</summary>`,
+        '  </entry>'
+      ].join('\n')
+    ),
+    '</feed>',
+    ''
+  ].join('\n');
+
+const renderRss = (entries, { title, selfUrl, siteUrl }) =>
+  [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${escapeXml(title)}</title>`,
+    `    <link>${escapeXml(siteUrl)}</link>`,
+    `    <atom:link rel="self" type="application/rss+xml" href="${escapeXml(selfUrl)}"/>`,
+    `    <description>${escapeXml(title)}</description>`,
+    `    <lastBuildDate>${getUpdated(entries).toUTCString()}</lastBuildDate>`,
+    ...entries.map(entry =>
+      [
+        '    <item>',
+        `      <guid isPermaLink="false">${escapeXml(entry.id)}</guid>`,
+        `      <title>${escapeXml(`${entry.title} - ${formatStatus(entry.status)}`)}</title>`,
+        `      <link>${escapeXml(entry.url)}</link>`,
+        `      <pubDate>${entry.date.toUTCString()}</pubDate>`,
+        `      <category>${escapeXml(entry.status)}</category>`,
+        `      <description>${escapeXml(describeEntry(entry))}</description>`,
+        '    </item>'
+      ].join('\n')
+    ),
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n');
+
+module.exports = { getFeedEntries, renderAtom, renderRss };
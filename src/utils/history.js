@@ -0,0 +1,89 @@
+/**
+ * Change history utilities for reports.
+ *
+ * Every mutation of a report is stored as a versioned entry in the
+ * `reportHistory` collection, so moderators can see how a report reached
+ * its current state without digging through the logs.
+ *
+ * @module utils/history
+ * @requires ./db
+ */
+
+/**
+ * Builds a field-level diff between two versions of a record.
+ * Only fields whose values differ are included.
+ *
+ * @function
+ * @param {Object} before - The record before the change.
+ * @param {Object} after - The record after the change.
+ * @returns {Object<string, { oldValue: *, newValue: * }>} Changed fields.
+ */
+
+/**
+ * Stores a new history entry for a report.
+ * The version number is one higher than the latest entry for the same report.
+ *
+ * @function
+ * @param {string} reportType - The collection the report lives in (e.g. 'works', see `config/reportTypes`).
+ * @param {number|string} reportId - The report ID.
+ * @param {Object} entry - The entry details.
+ * @param {string} entry.action - What happened (e.g. 'created', 'updated', 'status_changed').
+ * @param {string} entry.changedBy - Username of the person who made the change.
+ * @param {Object} entry.changes - Field-level changes, as returned by `diffRecord`.
+ * @returns {Object} The stored history entry.
+ */
+
+/**
+ * Returns all history entries for a report, oldest first.
+ *
+ * @function
+ * @param {string} reportType - The collection the report lives in (e.g. 'works', see `config/reportTypes`).
+ * @param {number|string} reportId - The report ID.
+ * @returns {Object[]} History entries ordered by version.
+ */
+
+const { getRepository, transaction } = require('./db');
+
+const history = getRepository('reportHistory');
+
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const diffRecord = (before = {}, after = {}) => {
+  const changes = {};
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  keys.forEach(key => {
+    if (!isSameValue(before[key], after[key])) {
+      changes[key] = {
+        oldValue: before[key] ?? null,
+        newValue: after[key] ?? null
+      };
+    }
+  });
+
+  return changes;
+};
+
+const getHistory = (reportType, reportId) =>
+  history
+    .query({ reportType, reportId: Number(reportId) })
+    .sort((a, b) => a.version - b.version);
+
+const recordHistory = (reportType, reportId, { action, changedBy, changes }) =>
+  transaction(() => {
+    const previous = getHistory(reportType, reportId);
+    const newId = history.nextId();
+
+    return history.insert(newId, {
+      id: newId,
+      reportType,
+      reportId: Number(reportId),
+      version: previous.length ? previous[previous.length - 1].version + 1 : 1,
+      action,
+      changedBy: changedBy || 'Anonymous',
+      changes: changes || {},
+      timestamp: new Date().toISOString()
+    });
+  });
+
+module.exports = { diffRecord, recordHistory, getHistory };
@@ -0,0 +1,110 @@
+/**
+ * Admin-managed blocklist of IP addresses and CIDR ranges that may not submit reports.
+ *
+ * Each entry in the `blocklist` collection has an `action`:
+ * - 'reject' : submissions are refused with 403.
+ * - 'shadow' : submissions look successful to the client but are held in the `shadowQueue`
+ *              collection instead of the report collections, without history or
+ *              webhooks. Admins can release or discard them (see `routes/admin/blocklist`).
+ *
+ * @module utils/ipBlocklist
+ * @requires net
+ * @requires ./db
+ */
+
+/**
+ * Validates and normalizes an IP address or CIDR range.
+ * A plain address becomes a single-address range ('/32' or '/128').
+ *
+ * @function
+ * @param {string} value - The address or range, e.g. '203.0.113.0/24' or '2001:db8::1'.
+ * @returns {{ cidr: string, address: string, prefix: number, family: 'ipv4'|'ipv6' }|null} The parsed range, or null if invalid.
+ */
+
+/**
+ * Finds the first blocklist entry that covers an IP address.
+ *
+ * @function
+ * @param {string} ip - The client address (`req.ip`).
+ * @returns {Object|null} The matching entry, or null.
+ */
+
+/**
+ * Holds a shadow-queued submission.
+ *
+ * @function
+ * @param {string} reportType - The collection the report was submitted to (e.g. 'works', see `config/reportTypes`).
+ * @param {Object} report - The report as it would have been stored.
+ * @param {Object} meta - Where the submission came from.
+ * @param {string} meta.ip - The client address.
+ * @param {number} meta.blockEntryId - The blocklist entry that matched.
+ * @returns {Object} The stored shadow queue record.
+ */
+
+const net = require('net');
+const { getRepository, transaction } = require('./db');
+
+const normalizeIp = ip =>
+  (ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+
+const parseCidr = value => {
+  if (typeof value !== 'string') return null;
+  const [rawAddress, rawPrefix, ...rest] = value.trim().split('/');
+  if (rest.length) return null;
+
+  const address = normalizeIp(rawAddress);
+  const version = net.isIP(address);
+  if (!version) return null;
+
+  const maxPrefix = version === 4 ? 32 : 128;
+  const prefix = rawPrefix === undefined ? maxPrefix : Number(rawPrefix);
+  if (!/^\d*$/.test(rawPrefix ?? '') || !Number.isInteger(prefix)) return null;
+  if (prefix < 0 || prefix > maxPrefix) return null;
+
+  return {
+    cidr: `${address}/${prefix}`,
+    address,
+    prefix,
+    family: version === 4 ? 'ipv4' : 'ipv6'
+  };
+};
+
+const coversIp = (entry, ip, family) => {
+  const range = parseCidr(entry.cidr);
+  if (!range) return false;
+  const list = new net.BlockList();
+  list.addSubnet(range.address, range.prefix, range.family);
+  return list.check(ip, family);
+};
+
+const findBlockEntry = ip => {
+  const address = normalizeIp(ip);
+  const version = net.isIP(address);
+  if (!version) return null;
+  const family = version === 4 ? 'ipv4' : 'ipv6';
+
+  return (
+    Object.values(getRepository('blocklist').getAll()).find(entry =>
+      coversIp(entry, address, family)
+    ) || null
+  );
+};
+
+const addToShadowQueue = (reportType, report, { ip, blockEntryId }) => {
+  const queue = getRepository('shadowQueue');
+
+  return transaction(() => {
+    const id = queue.nextId();
+
+    return queue.insert(id, {
+      id,
+      reportType,
+      report,
+      ip: normalizeIp(ip),
+      blockEntryId,
+      created: new Date().toISOString()
+    });
+  });
+};
+
+module.exports = { parseCidr, findBlockEntry, addToShadowQueue };
@@ -0,0 +1,191 @@
+/**
+ * Filtering, sorting and pagination helpers for report listings.
+ *
+ * Supported query parameters:
+ * - status       : One or more statuses, comma separated (e.g. `status=confirmed,taken_down`).
+ * - approved     : `true` or `false`.
+ * - reporter     : Reporter name (case-insensitive exact match).
+ * - from / to    : Inclusive `dateReported` range (YYYY-MM-DD).
+ * - sort         : Field to sort by (`id`, `title`, `status`, `reporter`, `dateReported`).
+ * - order        : `asc` (default) or `desc`.
+ * - page / limit : 1-based page number and page size (default 50, max 200).
+ *
+ * @module utils/listQuery
+ */
+
+/**
+ * Checks whether any listing parameter is present in the query string.
+ * Requests without them keep receiving the full keyed collection.
+ *
+ * @function
+ * @param {Object} query - The Express `req.query` object.
+ * @returns {boolean} True if the request asks for a filtered or paginated list.
+ */
+
+/**
+ * Validates and normalizes the listing query parameters.
+ *
+ * @function
+ * @param {Object} query - The Express `req.query` object.
+ * @param {string[]} validStatuses - Statuses accepted by the `status` filter.
+ * @returns {{ options?: Object, error?: string }} Normalized options, or a description of the first invalid parameter.
+ */
+
+/**
+ * Applies filters, sorting and pagination to a keyed collection.
+ *
+ * @function
+ * @param {Object<string, Object>} collection - The collection as returned by `getAll()` (see `utils/db`).
+ * @param {Object} options - Options returned by `parseListQuery`.
+ * @returns {{ items: Object[], total: number, page: number, limit: number, totalPages: number }}
+ */
+
+const LIST_PARAMS = [
+  'status',
+  'approved',
+  'reporter',
+  'from',
+  'to',
+  'sort',
+  'order',
+  'page',
+  'limit'
+];
+const SORT_FIELDS = ['id', 'title', 'status', 'reporter', 'dateReported'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const hasListQuery = query =>
+  Object.keys(query || {}).some(key => LIST_PARAMS.includes(key));
+
+const parsePositiveInt = value => {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+};
+
+const parseListQuery = (query, validStatuses) => {
+  const options = {
+    statuses: null,
+    approved: null,
+    reporter: null,
+    from: null,
+    to: null,
+    sort: 'id',
+    order: 'asc',
+    page: 1,
+    limit: DEFAULT_LIMIT
+  };
+
+  if (query.status !== undefined) {
+    const statuses = String(query.status)
+      .split(',')
+      .map(s => s.trim())
+      .filter(Boolean);
+    const invalid = statuses.filter(s => !validStatuses.includes(s));
+    if (invalid.length) {
+      return {
+        error: `Unknown status: ${invalid.join(', ')}. Valid statuses are: ${validStatuses.join(', ')}`
+      };
+    }
+    options.statuses = statuses;
+  }
+
+  if (query.approved !== undefined) {
+    if (!['true', 'false'].includes(query.approved)) {
+      return { error: "'approved' must be 'true' or 'false'" };
+    }
+    options.approved = query.approved === 'true';
+  }
+
+  if (query.reporter !== undefined) {
+    options.reporter = String(query.reporter).trim().toLowerCase();
+  }
+
+  for (const key of ['from', 'to']) {
+    if (query[key] === undefined) continue;
+    if (!DATE_PATTERN.test(query[key])) {
+      return { error: `'${key}' must be a date in YYYY-MM-DD format` };
+    }
+    options[key] = query[key];
+  }
+
+  if (query.sort !== undefined) {
+    if (!SORT_FIELDS.includes(query.sort)) {
+      return { error: `'sort' must be one of: ${SORT_FIELDS.join(', ')}` };
+    }
+    options.sort = query.sort;
+  }
+
+  if (query.order !== undefined) {
+    if (!['asc', 'desc'].includes(query.order)) {
+      return { error: "'order' must be 'asc' or 'desc'" };
+    }
+    options.order = query.order;
+  }
+
+  if (query.page !== undefined) {
+    options.page = parsePositiveInt(query.page);
+    if (!options.page) return { error: "'page' must be a positive integer" };
+  }
+
+  if (query.limit !== undefined) {
+    const limit = parsePositiveInt(query.limit);
+    if (!limit || limit > MAX_LIMIT) {
+      return { error: `'limit' must be an integer between 1 and ${MAX_LIMIT}` };
+    }
+    options.limit = limit;
+  }
+
+  return { options };
+};
+
+const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return 1;
+  if (b === undefined || b === null) return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { sensitivity: 'base' });
+};
+
+const applyListQuery = (collection, options) => {
+  const filtered = Object.values(collection).filter(record => {
+    if (options.statuses && !options.statuses.includes(record.status)) {
+      return false;
+    }
+    if (options.approved !== null && !!record.approved !== options.approved) {
+      return false;
+    }
+    if (
+      options.reporter !== null &&
+      String(record.reporter || '').toLowerCase() !== options.reporter
+    ) {
+      return false;
+    }
+    if (options.from && (record.dateReported || '') < options.from) {
+      return false;
+    }
+    if (options.to && (record.dateReported || '') > options.to) return false;
+    return true;
+  });
+
+  const direction = options.order === 'desc' ? -1 : 1;
+  filtered.sort(
+    (a, b) =>
+      direction * compareValues(a[options.sort], b[options.sort]) ||
+      Number(a.id) - Number(b.id)
+  );
+
+  const total = filtered.length;
+  const start = (options.page - 1) * options.limit;
+
+  return {
+    items: filtered.slice(start, start + options.limit),
+    total,
+    page: options.page,
+    limit: options.limit,
+    totalPages: Math.ceil(total / options.limit)
+  };
+};
+
+module.exports = { hasListQuery, parseListQuery, applyListQuery };
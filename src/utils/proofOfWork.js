@@ -0,0 +1,102 @@
+/**
+ * Stateless proof-of-work challenges for anonymous report submissions.
+ *
+ * A challenge has the form `<random>.<expiresAt>.<difficulty>.<signature>`, signed with the JWT
+ * secret so the server does not need to store issued challenges. To solve it, the client finds
+ * a `nonce` such that `sha256("<challenge>:<nonce>")` starts with `difficulty` zero bits. Each
+ * solved challenge is accepted once; used challenges are remembered in memory until they expire.
+ *
+ * Disabled when `env.powDifficulty` is 0.
+ *
+ * @module utils/proofOfWork
+ * @requires crypto
+ * @requires ../config
+ */
+
+/**
+ * Issues a new challenge.
+ *
+ * @function
+ * @returns {{ challenge: string, difficulty: number, algorithm: string, expiresAt: string }} The challenge.
+ */
+
+/**
+ * Checks a solved challenge and marks it as used.
+ *
+ * @function
+ * @param {string} challenge - The challenge returned by `createChallenge`.
+ * @param {string} nonce - The client's solution.
+ * @returns {string|null} Why the solution was rejected, or null if it is valid.
+ */
+
+const crypto = require('crypto');
+const { env } = require('../config');
+
+const MAX_NONCE_LENGTH = 64;
+const usedChallenges = new Map();
+
+const sign = payload =>
+  crypto.createHmac('sha256', env.jwtSecret).update(payload).digest('hex');
+
+const createChallenge = () => {
+  const expiresAt = Date.now() + env.powChallengeTtlSeconds * 1000;
+  const payload = `${crypto.randomBytes(16).toString('hex')}.${expiresAt}.${env.powDifficulty}`;
+
+  return {
+    challenge: `${payload}.${sign(payload)}`,
+    difficulty: env.powDifficulty,
+    algorithm: 'sha256',
+    expiresAt: new Date(expiresAt).toISOString()
+  };
+};
+
+const hasLeadingZeroBits = (hash, bits) => {
+  for (let i = 0; i < bits; i++) {
+    if (hash[i >> 3] & (0x80 >> (i & 7))) return false;
+  }
+  return true;
+};
+
+const verifySolution = (challenge, nonce) => {
+  if (typeof challenge !== 'string' || typeof nonce !== 'string') {
+    return 'Challenge and nonce are required';
+  }
+  if (nonce.length === 0 || nonce.length > MAX_NONCE_LENGTH) {
+    return `Nonce must be 1-${MAX_NONCE_LENGTH} characters`;
+  }
+
+  const parts = challenge.split('.');
+  if (parts.length !== 4) return 'Malformed challenge';
+  const [, expiresAt, difficulty, signature] = parts;
+  const expected = sign(parts.slice(0, 3).join('.'));
+  if (
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    return 'Invalid challenge';
+  }
+
+  const now = Date.now();
+  if (Number(expiresAt) < now) return 'Challenge expired';
+  // Challenges issued before the difficulty was raised are not accepted
+  if (Number(difficulty) < env.powDifficulty) return 'Challenge too easy';
+
+  // Forget used challenges once they would have expired anyway
+  for (const [used, expires] of usedChallenges) {
+    if (expires < now) usedChallenges.delete(used);
+  }
+  if (usedChallenges.has(challenge)) return 'Challenge already used';
+
+  const hash = crypto
+    .createHash('sha256')
+    .update(`${challenge}:${nonce}`)
+    .digest();
+  if (!hasLeadingZeroBits(hash, Number(difficulty))) {
+    return 'Solution does not meet the difficulty';
+  }
+
+  usedChallenges.set(challenge, Number(expiresAt));
+  return null;
+};
+
+module.exports = { createChallenge, verifySolution };
@@ -0,0 +1,70 @@
+/**
+ * Lookup helpers for the report types defined in `config/reportTypes`.
+ *
+ * The returned definitions include their `name`, which is also the collection name and the route
+ * the type is served under (e.g. 'works' at `/works`).
+ *
+ * @module utils/reportTypes
+ * @requires ../config/reportTypes
+ */
+
+/**
+ * Names of all report types, in definition order.
+ *
+ * @constant {string[]}
+ */
+
+/**
+ * Checks whether a name is a registered report type.
+ *
+ * @function
+ * @param {string} name - The name to check, e.g. from a route parameter.
+ * @returns {boolean} True if the type exists.
+ */
+
+/**
+ * Returns a report type definition.
+ *
+ * @function
+ * @param {string} name - The report type, e.g. 'works'.
+ * @returns {Object|null} The definition with its `name`, or null if the type does not exist.
+ */
+
+/**
+ * Returns all report type definitions, in definition order.
+ *
+ * @function
+ * @returns {Object[]} The definitions with their `name`.
+ */
+
+/**
+ * Finds the report type that sends a webhook event.
+ *
+ * @function
+ * @param {string} eventType - The event type, e.g. 'profile_updated'.
+ * @returns {Object|null} The definition, or null for events that are not about a single report.
+ */
+
+const definitions = require('../config/reportTypes');
+
+const reportTypeNames = Object.keys(definitions);
+
+const isReportType = name => Object.hasOwn(definitions, name);
+
+const getReportType = name =>
+  isReportType(name) ? { name, ...definitions[name] } : null;
+
+const getReportTypes = () => reportTypeNames.map(getReportType);
+
+const findReportTypeByEvent = eventType =>
+  getReportTypes().find(type =>
+    Object.values(type.events).includes(eventType)
+  ) || null;
+
+module.exports = {
+  reportTypeNames,
+  isReportType,
+  getReportType,
+  getReportTypes,
+  findReportTypeByEvent
+};
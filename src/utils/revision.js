@@ -0,0 +1,89 @@
+/**
+ * Revision counters and conditional requests for reports.
+ *
+ * Every report carries a `revision` that starts at 1 and goes up by one with each change. Report
+ * responses send it as their `ETag`, and the routes that change a report accept it back in
+ * `If-Match`: if the report changed in the meantime the request is refused with 412 instead of
+ * overwriting someone else's edit. Lists get an `ETag` computed from the response body, so
+ * clients can poll them with `If-None-Match` and get 304 while nothing changed.
+ *
+ * @module utils/revision
+ * @requires crypto
+ * @requires ../config
+ */
+
+/**
+ * Increments the revision of a report. Call it on every change to a stored report; the report is
+ * modified in place.
+ *
+ * @function
+ * @param {Object} report - The work or profile record.
+ * @returns {number} The new revision.
+ */
+
+/**
+ * Returns the entity tag of a report, e.g. `"3"`.
+ *
+ * @function
+ * @param {Object} report - The work or profile record.
+ * @returns {string} The quoted revision.
+ */
+
+/**
+ * Checks the `If-Match` header of a request against a report. A missing header or `*` always
+ * matches; otherwise one of the listed tags must equal the report's current one.
+ *
+ * @function
+ * @param {import('express').Request} req - The request.
+ * @param {Object} report - The stored report.
+ * @returns {{ error: string, details: string, current: Object }|null} A 412 response body with
+ *   the current report, or null if the request may go ahead.
+ */
+
+/**
+ * Sends a list response with an `ETag` of its content, or 304 if it matches `If-None-Match`.
+ *
+ * @function
+ * @param {import('express').Request} req - The request.
+ * @param {import('express').Response} res - The response.
+ * @param {*} body - The JSON body.
+ * @returns {void}
+ */
+
+const crypto = require('crypto');
+const { errorMessages } = require('../config');
+
+const bumpRevision = report => {
+  report.revision = (report.revision || 0) + 1;
+  return report.revision;
+};
+
+const getETag = report => `"${report.revision || 1}"`;
+
+const checkIfMatch = (req, report) => {
+  const ifMatch = req.get('If-Match');
+  if (!ifMatch) return null;
+
+  const etag = getETag(report);
+  // If-Match uses the strong comparison, so weak tags (W/"...") never match
+  const tags = ifMatch.split(',').map(tag => tag.trim());
+  if (tags.includes('*') || tags.includes(etag)) return null;
+
+  return {
+    error: errorMessages.revisionMismatch,
+    details: `The report was changed since it was fetched. Its current revision is ${etag}.`,
+    current: report
+  };
+};
+
+const sendWithETag = (req, res, body) => {
+  const json = JSON.stringify(body);
+  res.set('ETag', `"${crypto.createHash('sha1').update(json).digest('hex')}"`);
+
+  // `req.fresh` compares If-None-Match with the ETag set above
+  if (req.fresh) return res.status(304).end();
+
+  res.type('json').send(json);
+};
+
+module.exports = { bumpRevision, getETag, checkIfMatch, sendWithETag };
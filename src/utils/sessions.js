@@ -0,0 +1,224 @@
+/**
+ * Session management with short-lived access tokens and rotating refresh tokens.
+ *
+ * Each login creates a session in the `sessions` collection. The client receives:
+ * - an access token (JWT, `env.jwtExpiration`) carrying the session ID as `sid`;
+ * - a refresh token (`<sessionId>.<secret>`, `env.refreshTokenExpirationDays`).
+ *
+ * Only a hash of the current refresh secret is stored. Every refresh rotates it, so a refresh
+ * token can be used once. Presenting an already-rotated token is treated as theft: the whole
+ * session is revoked, which also invalidates its access tokens (see `isSessionActive`).
+ *
+ * @module utils/sessions
+ * @requires crypto
+ * @requires jsonwebtoken
+ * @requires uuid
+ * @requires ./db
+ * @requires ../config
+ */
+
+/**
+ * Signs an access token for a user and session.
+ *
+ * @function
+ * @param {number|string} userId - The user ID.
+ * @param {Object} user - The user record.
+ * @param {string} sessionId - The session the token belongs to.
+ * @returns {string} The signed JWT.
+ */
+
+/**
+ * Creates a session for a user and returns its first token pair.
+ *
+ * @function
+ * @param {number|string} userId - The user ID.
+ * @param {Object} user - The user record.
+ * @param {import('express').Request} req - The login request, used for device and IP.
+ * @returns {{ token: string, refreshToken: string, session: Object }}
+ */
+
+/**
+ * Exchanges a refresh token for a new token pair, rotating the refresh token.
+ *
+ * @function
+ * @param {string} refreshToken - The refresh token presented by the client.
+ * @param {import('express').Request} req - The refresh request, used for IP tracking.
+ * @returns {{ token?: string, refreshToken?: string, session?: Object, error?: string, reused?: boolean }}
+ *   The new tokens, or an `errorMessages` key describing why the refresh was refused.
+ */
+
+/**
+ * Revokes a single session.
+ *
+ * @function
+ * @param {string} sessionId - The session ID.
+ * @param {string} reason - Why the session was revoked (e.g. 'logout', 'revoked_by_user').
+ * @returns {boolean} True if an active session was revoked.
+ */
+
+/**
+ * Revokes every active session of a user.
+ *
+ * @function
+ * @param {number|string} userId - The user ID.
+ * @param {string} reason - Why the sessions were revoked.
+ * @returns {number} The number of sessions revoked.
+ */
+
+/**
+ * Lists the active (not revoked, not expired) sessions of a user, newest first.
+ * Refresh token hashes are never included.
+ *
+ * @function
+ * @param {number|string} userId - The user ID.
+ * @returns {Object[]} Active sessions.
+ */
+
+/**
+ * Checks whether a session exists and has not been revoked or expired.
+ *
+ * @function
+ * @param {string} sessionId - The session ID.
+ * @returns {boolean} True if the session is active.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { getRepository, transaction } = require('./db');
+const { env } = require('../config');
+
+const sessions = getRepository('sessions');
+const users = getRepository('users');
+
+const hashSecret = secret =>
+  crypto.createHash('sha256').update(secret).digest('hex');
+
+const generateSecret = () => crypto.randomBytes(48).toString('base64url');
+
+const isActive = session =>
+  !!session &&
+  !session.revoked &&
+  new Date(session.expiresAt).getTime() > Date.now();
+
+const toPublicSession = ({ refreshTokenHash: _hash, ...session }) => session;
+
+const signAccessToken = (userId, user, sessionId) =>
+  jwt.sign(
+    {
+      id: Number(userId),
+      username: user.username,
+      role: user.role,
+      sid: sessionId,
+      jti: uuidv4()
+    },
+    env.jwtSecret,
+    { expiresIn: env.jwtExpiration }
+  );
+
+const createSession = (userId, user, req) => {
+  const sessionId = uuidv4();
+  const secret = generateSecret();
+  const now = new Date();
+
+  const session = sessions.insert(sessionId, {
+    id: sessionId,
+    userId: Number(userId),
+    username: user.username,
+    device: req.headers['user-agent'] || 'Unknown',
+    ip: req.ip,
+    created: now.toISOString(),
+    lastUsed: now.toISOString(),
+    expiresAt: new Date(
+      now.getTime() + env.refreshTokenExpirationDays * 24 * 60 * 60 * 1000
+    ).toISOString(),
+    refreshTokenHash: hashSecret(secret),
+    revoked: false,
+    revokedAt: null,
+    revokedReason: null
+  });
+
+  return {
+    token: signAccessToken(userId, user, sessionId),
+    refreshToken: `${sessionId}.${secret}`,
+    session: toPublicSession(session)
+  };
+};
+
+const revoke = (sessionId, reason) =>
+  sessions.update(sessionId, {
+    revoked: true,
+    revokedAt: new Date().toISOString(),
+    revokedReason: reason
+  });
+
+const rotateRefreshToken = (refreshToken, req) =>
+  transaction(() => {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    const session = sessions.get(sessionId);
+
+    if (!secret || !isActive(session)) return { error: 'invalidRefreshToken' };
+
+    if (session.refreshTokenHash !== hashSecret(secret)) {
+      // An old refresh token was replayed - assume it was stolen
+      return {
+        error: 'refreshTokenReused',
+        reused: true,
+        session: revoke(sessionId, 'refresh_token_reuse')
+      };
+    }
+
+    const user = users.get(session.userId);
+    if (!user || !user.approved) {
+      revoke(sessionId, 'user_unavailable');
+      return { error: 'invalidRefreshToken' };
+    }
+
+    const newSecret = generateSecret();
+    const updated = sessions.update(sessionId, {
+      refreshTokenHash: hashSecret(newSecret),
+      lastUsed: new Date().toISOString(),
+      ip: req.ip
+    });
+
+    return {
+      token: signAccessToken(session.userId, user, sessionId),
+      refreshToken: `${sessionId}.${newSecret}`,
+      session: toPublicSession(updated)
+    };
+  });
+
+const revokeSession = (sessionId, reason) =>
+  transaction(() => {
+    if (!isActive(sessions.get(sessionId))) return false;
+
+    revoke(sessionId, reason);
+    return true;
+  });
+
+const revokeUserSessions = (userId, reason) =>
+  transaction(() => {
+    const active = sessions.query({ userId: Number(userId) }).filter(isActive);
+
+    active.forEach(session => revoke(session.id, reason));
+    return active.length;
+  });
+
+const listUserSessions = userId =>
+  sessions
+    .query({ userId: Number(userId) })
+    .filter(isActive)
+    .sort((a, b) => b.lastUsed.localeCompare(a.lastUsed))
+    .map(toPublicSession);
+
+const isSessionActive = sessionId => isActive(sessions.get(sessionId));
+
+module.exports = {
+  signAccessToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  listUserSessions,
+  isSessionActive
+};
@@ -0,0 +1,125 @@
+/**
+ * ScribbleHub URL normalization and duplicate detection for reports.
+ *
+ * Reports are identified by the numeric ID in their URL, not by the URL itself:
+ * `https://www.scribblehub.com/series/123/foo/` and `http://scribblehub.com/series/123` are the
+ * same work. That ID is stored on each report as `canonicalKey` (built by the type's
+ * `canonicalKey`, e.g. `series:<id>`, see `config/reportTypes`) and used for duplicate checks.
+ * Reports created before `canonicalKey` existed get their key computed from `url` on the fly.
+ * Deleted reports (see `utils/trash`) are ignored, so a report in the trash does not block a
+ * new one.
+ *
+ * @module utils/shUrl
+ * @requires ./reportTypes
+ * @requires ./trash
+ */
+
+/**
+ * Normalizes a ScribbleHub URL and extracts its canonical key.
+ * Accepts `http`, a missing `www.` and any query string or fragment, then validates the
+ * result against the type's `urlPattern`.
+ *
+ * @function
+ * @param {string} reportType - The report collection (see `config/reportTypes`).
+ * @param {string} url - The submitted URL.
+ * @returns {{ url: string, canonicalKey: string }|null} The normalized URL and key, or null if the URL is not valid for the report type.
+ */
+
+/**
+ * Returns the canonical key of a stored report.
+ *
+ * @function
+ * @param {string} reportType - The report collection (see `config/reportTypes`).
+ * @param {Object} report - The report record.
+ * @returns {string|null} The stored or computed key, or null if the URL cannot be parsed.
+ */
+
+/**
+ * Finds a report with the given canonical key.
+ *
+ * @function
+ * @param {string} reportType - The report collection (see `config/reportTypes`).
+ * @param {Object} reports - The collection (as returned by `getAll()`, see `utils/db`).
+ * @param {string} canonicalKey - The key to look for.
+ * @param {number} [excludeId] - A report ID to ignore, e.g. the report being edited.
+ * @returns {Object|undefined} The first matching report.
+ */
+
+/**
+ * Groups the reports of a collection that share a canonical key.
+ *
+ * @function
+ * @param {string} reportType - The report collection (see `config/reportTypes`).
+ * @param {Object} reports - The collection (as returned by `getAll()`, see `utils/db`).
+ * @returns {{ duplicates: { canonicalKey: string, ids: number[] }[], unparsable: number[] }}
+ *   Keys used by more than one report, and IDs of reports whose URL could not be parsed.
+ */
+
+const { getReportType } = require('./reportTypes');
+const { isDeleted } = require('./trash');
+
+const normalizeReportUrl = (reportType, url) => {
+  const { urlPattern, canonicalKey } = getReportType(reportType);
+
+  let parsed;
+  try {
+    parsed = new URL(String(url).trim());
+  } catch {
+    return null;
+  }
+
+  const host = parsed.hostname.toLowerCase();
+  if (
+    !['http:', 'https:'].includes(parsed.protocol) ||
+    !['scribblehub.com', 'www.scribblehub.com'].includes(host)
+  ) {
+    return null;
+  }
+
+  const normalized = `https://www.scribblehub.com${parsed.pathname}`;
+  const match = urlPattern.exec(normalized);
+  if (!match) return null;
+
+  return { url: normalized, canonicalKey: canonicalKey(match) };
+};
+
+const getCanonicalKey = (reportType, report) =>
+  report.canonicalKey ??
+  normalizeReportUrl(reportType, report.url)?.canonicalKey ??
+  null;
+
+const findByCanonicalKey = (reportType, reports, canonicalKey, excludeId) =>
+  Object.values(reports).find(
+    report =>
+      report.id !== excludeId &&
+      !isDeleted(report) &&
+      getCanonicalKey(reportType, report) === canonicalKey
+  );
+
+const findDuplicateGroups = (reportType, reports) => {
+  const byKey = {};
+  const unparsable = [];
+
+  Object.values(reports).forEach(report => {
+    if (isDeleted(report)) return;
+    const key = getCanonicalKey(reportType, report);
+    if (!key) return unparsable.push(report.id);
+    (byKey[key] ||= []).push(report.id);
+  });
+
+  const duplicates = Object.entries(byKey)
+    .filter(([, ids]) => ids.length > 1)
+    .map(([canonicalKey, ids]) => ({
+      canonicalKey,
+      ids: ids.sort((a, b) => a - b)
+    }));
+
+  return { duplicates, unparsable };
+};
+
+module.exports = {
+  normalizeReportUrl,
+  getCanonicalKey,
+  findByCanonicalKey,
+  findDuplicateGroups
+};
@@ -0,0 +1,260 @@
+/**
+ * Aggregate statistics over the report collections (see `config/reportTypes`) and users for dashboards.
+ *
+ * Results are cached in memory for `env.statsCacheSeconds` per set of query options, so
+ * repeated dashboard requests do not rescan the database.
+ *
+ * Deleted reports (see `utils/trash`) are not counted. The timeline and top reporters only cover
+ * reports whose `dateReported` falls in the requested range; all other figures cover every
+ * report. The average time to `taken_down` uses the `statusChangedAt` timestamps (see
+ * `utils/statusWorkflow`), so works taken down before those were recorded are not included.
+ *
+ * @module utils/stats
+ * @requires ./db
+ * @requires ./reportTypes
+ * @requires ./trash
+ * @requires ../config
+ */
+
+/**
+ * Validates the `GET /stats` query parameters.
+ *
+ * @function
+ * @param {Object} query - The request query (`from`, `to`, `interval`, `top`).
+ * @returns {{ options?: Object, error?: string }} The parsed options, or a description of the first invalid parameter.
+ */
+
+/**
+ * Returns the statistics for a set of options, from the cache when it is fresh.
+ *
+ * @function
+ * @param {Object} options - Options returned by `parseStatsQuery`.
+ * @returns {Object} The statistics.
+ */
+
+const { getRepository } = require('./db');
+const { reportTypeNames } = require('./reportTypes');
+const { withoutDeleted } = require('./trash');
+const { env, reportStatuses, roles } = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 366;
+const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+const cache = new Map();
+
+const toDateString = date => date.toISOString().split('T')[0];
+
+const parseDate = value => {
+  if (!datePattern.test(value)) return null;
+  const date = new Date(`${value}T00:00:00.000Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const parseStatsQuery = query => {
+  const interval = query.interval || 'day';
+  if (!['day', 'week'].includes(interval)) {
+    return { error: "'interval' must be 'day' or 'week'" };
+  }
+
+  const to = query.to
+    ? parseDate(query.to)
+    : parseDate(toDateString(new Date()));
+  if (!to) return { error: "'to' must be a date (YYYY-MM-DD)" };
+
+  const from = query.from
+    ? parseDate(query.from)
+    : new Date(to.getTime() - 29 * DAY_MS);
+  if (!from) return { error: "'from' must be a date (YYYY-MM-DD)" };
+
+  if (from > to) return { error: "'from' must not be after 'to'" };
+  if ((to - from) / DAY_MS >= MAX_RANGE_DAYS) {
+    return { error: `The range can cover at most ${MAX_RANGE_DAYS} days` };
+  }
+
+  const top = query.top === undefined ? 10 : Number(query.top);
+  if (!Number.isInteger(top) || top < 1 || top > 50) {
+    return { error: "'top' must be a whole number between 1 and 50" };
+  }
+
+  return {
+    options: {
+      from: toDateString(from),
+      to: toDateString(to),
+      interval,
+      top
+    }
+  };
+};
+
+// Weeks start on Monday
+const getPeriod = (dateString, interval) => {
+  if (interval === 'day') return dateString;
+  const date = parseDate(dateString);
+  const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+  return toDateString(new Date(date.getTime() - daysSinceMonday * DAY_MS));
+};
+
+const countByStatus = (reports, statuses) => {
+  const counts = Object.fromEntries(statuses.map(status => [status, 0]));
+  reports.forEach(report => {
+    counts[report.status] = (counts[report.status] || 0) + 1;
+  });
+  return counts;
+};
+
+const summarizeCollection = (reports, statuses) => ({
+  total: reports.length,
+  approved: reports.filter(report => report.approved).length,
+  byStatus: countByStatus(reports, statuses)
+});
+
+const countPerType = () =>
+  Object.fromEntries(reportTypeNames.map(reportType => [reportType, 0]));
+
+// Reports from before `reporterId` existed only have the reporter name
+const isAuthenticatedReport = report =>
+  report.reporterId !== undefined
+    ? report.reporterId !== null
+    : report.reporter !== 'Anonymous';
+
+const buildTimeline = (collections, { from, to, interval }) => {
+  const timeline = new Map();
+  const step = interval === 'day' ? DAY_MS : 7 * DAY_MS;
+  const end = parseDate(to).getTime();
+
+  for (
+    let time = parseDate(getPeriod(from, interval)).getTime();
+    time <= end;
+    time += step
+  ) {
+    const period = toDateString(new Date(time));
+    timeline.set(period, { period, ...countPerType() });
+  }
+
+  const add = (reports, key) => {
+    reports.forEach(report => {
+      const date = report.dateReported;
+      if (!date || date < from || date > to) return;
+      const entry = timeline.get(getPeriod(date, interval));
+      if (entry) entry[key]++;
+    });
+  };
+  Object.entries(collections).forEach(([key, reports]) => add(reports, key));
+
+  return [...timeline.values()];
+};
+
+const getTopReporters = (collections, { from, to, top }) => {
+  const reporters = new Map();
+
+  const add = (reports, key) => {
+    reports.forEach(report => {
+      const date = report.dateReported;
+      if (!isAuthenticatedReport(report) || date < from || date > to) return;
+
+      if (!reporters.has(report.reporter)) {
+        reporters.set(report.reporter, {
+          reporter: report.reporter,
+          ...countPerType(),
+          total: 0
+        });
+      }
+      const entry = reporters.get(report.reporter);
+      entry[key]++;
+      entry.total++;
+    });
+  };
+  Object.entries(collections).forEach(([key, reports]) => add(reports, key));
+
+  return [...reporters.values()]
+    .sort((a, b) => b.total - a.total || a.reporter.localeCompare(b.reporter))
+    .slice(0, top);
+};
+
+const getTakedownTime = works => {
+  const durations = works
+    .filter(work => work.statusChangedAt?.taken_down)
+    .map(work => {
+      const reportedAt =
+        work.reportedAt || `${work.dateReported}T00:00:00.000Z`;
+      return new Date(work.statusChangedAt.taken_down) - new Date(reportedAt);
+    })
+    .filter(duration => Number.isFinite(duration) && duration >= 0);
+
+  const averageMs = durations.length
+    ? durations.reduce((sum, duration) => sum + duration, 0) / durations.length
+    : null;
+
+  return {
+    count: durations.length,
+    averageHours:
+      averageMs === null ? null : Math.round((averageMs / 36e5) * 10) / 10
+  };
+};
+
+const computeStats = options => {
+  const collections = Object.fromEntries(
+    reportTypeNames.map(reportType => [
+      reportType,
+      Object.values(withoutDeleted(getRepository(reportType).getAll()))
+    ])
+  );
+  // Tombstones of deleted accounts are not users any more
+  const users = Object.values(getRepository('users').getAll()).filter(
+    user => !user.anonymized
+  );
+  const reports = Object.values(collections).flat();
+
+  const authenticated = reports.filter(isAuthenticatedReport).length;
+  const anonymous = reports.length - authenticated;
+
+  return {
+    generatedAt: new Date().toISOString(),
+    range: options,
+    ...Object.fromEntries(
+      Object.entries(collections).map(([reportType, collection]) => [
+        reportType,
+        summarizeCollection(collection, reportStatuses[reportType])
+      ])
+    ),
+    users: {
+      total: users.length,
+      approved: users.filter(user => user.approved).length,
+      byRole: Object.fromEntries(
+        roles.map(role => [
+          role,
+          users.filter(user => user.role === role).length
+        ])
+      )
+    },
+    reporters: {
+      authenticated,
+      anonymous,
+      authenticatedRatio: reports.length
+        ? Math.round((authenticated / reports.length) * 1000) / 1000
+        : null
+    },
+    timeline: buildTimeline(collections, options),
+    topReporters: getTopReporters(collections, options),
+    timeToTakedown: getTakedownTime(collections.works)
+  };
+};
+
+const getStats = options => {
+  const key = JSON.stringify(options);
+  const now = Date.now();
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > now) return cached.stats;
+
+  // Drop expired entries so the cache cannot grow without bound
+  for (const [cachedKey, entry] of cache) {
+    if (entry.expiresAt <= now) cache.delete(cachedKey);
+  }
+
+  const stats = computeStats(options);
+  cache.set(key, { stats, expiresAt: now + env.statsCacheSeconds * 1000 });
+  return stats;
+};
+
+module.exports = { parseStatsQuery, getStats };
@@ -0,0 +1,61 @@
+/**
+ * Status transition rules for reports, driven by `statusWorkflows` in config.
+ * Also keeps `statusChangedAt` on each report: the last time it entered each status.
+ *
+ * @module utils/statusWorkflow
+ * @requires ../config
+ */
+
+/**
+ * Checks whether a report may move from one status to another.
+ *
+ * @function
+ * @param {string} reportType - The report collection (e.g. 'works', see `config/reportTypes`).
+ * @param {string} from - The current status.
+ * @param {string} to - The requested status.
+ * @param {string} [reason] - The reason given for the change.
+ * @returns {{ error: string, details: string }|null} An error response body, or null if the change is allowed.
+ */
+
+/**
+ * Records that a report has just entered its current status.
+ * Call it after changing `report.status`; the report is modified in place.
+ *
+ * @function
+ * @param {Object} report - The work or profile record.
+ * @returns {void}
+ */
+
+const { errorMessages, statusWorkflows } = require('../config');
+
+const checkStatusTransition = (reportType, from, to, reason) => {
+  const workflow = statusWorkflows[reportType];
+  const allowed = workflow.transitions[from] || [];
+
+  if (!allowed.includes(to)) {
+    return {
+      error: errorMessages.invalidStatusTransition,
+      details: allowed.length
+        ? `From '${from}' the status can only change to: ${allowed.join(', ')}`
+        : `The status cannot be changed from '${from}'`
+    };
+  }
+
+  if (workflow.reasonRequired.includes(to) && !reason?.trim()) {
+    return {
+      error: errorMessages.statusReasonRequired,
+      details: `Moving to '${to}' requires a 'reason'`
+    };
+  }
+
+  return null;
+};
+
+const markStatusChange = report => {
+  report.statusChangedAt = {
+    ...report.statusChangedAt,
+    [report.status]: new Date().toISOString()
+  };
+};
+
+module.exports = { checkStatusTransition, markStatusChange };
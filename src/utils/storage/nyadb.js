@@ -0,0 +1,112 @@
+/**
+ * NyaDB storage adapter, the default backend of `utils/db`.
+ *
+ * NyaDB keeps each collection as one JSON object and writes it out whole, so every insert,
+ * update or delete still rewrites its collection. Each operation is a synchronous
+ * read-modify-write, though, so two requests can no longer overwrite each other's changes.
+ *
+ * Transactions keep a copy of every collection they change and put those copies back if the
+ * callback throws.
+ *
+ * @module utils/storage/nyadb
+ * @requires @decaded/nyadb
+ */
+
+/**
+ * Creates the adapter. See `utils/db` for the adapter interface.
+ *
+ * @function
+ * @returns {Object} The adapter.
+ */
+
+const NyaDB = require('@decaded/nyadb');
+
+const clone = value =>
+  value === undefined ? undefined : structuredClone(value);
+
+// A missing field matches null, as it does in SQL
+const matches = (record, where) =>
+  Object.entries(where).every(
+    ([field, value]) => (record[field] ?? null) === value
+  );
+
+const createNyaDBAdapter = () => {
+  const db = new NyaDB();
+  // Collections changed by the running transaction, with their contents before it started
+  let rollback = null;
+
+  const read = name => db.get(name) || {};
+
+  const write = (name, data) => {
+    if (rollback && !rollback.has(name)) {
+      rollback.set(name, clone(read(name)));
+    }
+    // JSON round trip: drops fields set to undefined, like the other adapters
+    db.set(name, JSON.parse(JSON.stringify(data)));
+  };
+
+  return {
+    name: 'nyadb',
+
+    init: collectionNames => {
+      collectionNames.forEach(name => {
+        if (!db.getList().includes(name)) db.create(name);
+      });
+    },
+
+    getAll: name => clone(read(name)),
+
+    // Own keys only, so ids like 'constructor' are not found on the prototype
+    get: (name, id) => {
+      const data = read(name);
+      return Object.hasOwn(data, id) ? clone(data[id]) : null;
+    },
+
+    find: (name, where) =>
+      Object.values(read(name))
+        .filter(record => matches(record, where))
+        .map(clone),
+
+    insert: (name, id, record) => {
+      const data = read(name);
+      if (Object.hasOwn(data, id)) {
+        throw new Error(`Record '${id}' already exists in '${name}'`);
+      }
+      write(name, { ...data, [id]: record });
+    },
+
+    put: (name, id, record) => {
+      write(name, { ...read(name), [id]: record });
+    },
+
+    remove: (name, id) => {
+      const data = read(name);
+      if (!Object.hasOwn(data, id)) return false;
+      const rest = { ...data };
+      delete rest[id];
+      write(name, rest);
+      return true;
+    },
+
+    replaceAll: (name, data) => write(name, data),
+
+    transaction: fn => {
+      // Nested transactions are part of the outer one
+      if (rollback) return fn();
+
+      rollback = new Map();
+      try {
+        return fn();
+      } catch (error) {
+        rollback.forEach((data, name) => db.set(name, data));
+        throw error;
+      } finally {
+        rollback = null;
+      }
+    },
+
+    close: () => {}
+  };
+};
+
+module.exports = { createNyaDBAdapter };
@@ -0,0 +1,123 @@
+/**
+ * SQLite storage adapter, selected with `STORAGE_ADAPTER=sqlite`.
+ *
+ * Every collection lives in one `records` table with the collection name, the record key and
+ * the record as JSON, so each insert, update or delete only touches its own row. `find` filters
+ * with `json_extract` in SQL. Transactions map to SQLite transactions; nested ones become
+ * savepoints. The database file is `env.sqlitePath` and is opened in WAL mode.
+ *
+ * To move existing data over from NyaDB, see `scripts/migrateToSqlite`.
+ *
+ * @module utils/storage/sqlite
+ * @requires fs
+ * @requires path
+ * @requires better-sqlite3
+ */
+
+/**
+ * Creates the adapter. See `utils/db` for the adapter interface.
+ *
+ * @function
+ * @param {string} filePath - The database file. Its directory is created if needed.
+ * @returns {Object} The adapter.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// SQLite has no boolean type: json_extract returns true and false as 1 and 0
+const toSqlValue = value =>
+  typeof value === 'boolean' ? Number(value) : value;
+
+const createSqliteAdapter = filePath => {
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS records (
+      collection TEXT NOT NULL,
+      id TEXT NOT NULL,
+      data TEXT NOT NULL,
+      PRIMARY KEY (collection, id)
+    )
+  `);
+
+  const statements = {
+    getAll: db.prepare('SELECT id, data FROM records WHERE collection = ?'),
+    get: db.prepare('SELECT data FROM records WHERE collection = ? AND id = ?'),
+    insert: db.prepare(
+      'INSERT INTO records (collection, id, data) VALUES (?, ?, ?)'
+    ),
+    put: db.prepare(
+      'INSERT INTO records (collection, id, data) VALUES (?, ?, ?) ' +
+        'ON CONFLICT (collection, id) DO UPDATE SET data = excluded.data'
+    ),
+    remove: db.prepare('DELETE FROM records WHERE collection = ? AND id = ?'),
+    clear: db.prepare('DELETE FROM records WHERE collection = ?')
+  };
+
+  const replaceAll = db.transaction((name, data) => {
+    statements.clear.run(name);
+    Object.entries(data).forEach(([id, record]) =>
+      statements.insert.run(name, id, JSON.stringify(record))
+    );
+  });
+
+  return {
+    name: 'sqlite',
+
+    // Collections exist implicitly as soon as they have a record
+    init: () => {},
+
+    getAll: name =>
+      Object.fromEntries(
+        statements.getAll.all(name).map(row => [row.id, JSON.parse(row.data)])
+      ),
+
+    get: (name, id) => {
+      const row = statements.get.get(name, String(id));
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    find: (name, where) => {
+      const fields = Object.keys(where);
+      const conditions = fields.map(() => 'json_extract(data, ?) IS ?');
+      const params = fields.flatMap(field => [
+        `$."${field}"`,
+        toSqlValue(where[field])
+      ]);
+
+      return db
+        .prepare(
+          `SELECT data FROM records WHERE ${['collection = ?', ...conditions].join(' AND ')}`
+        )
+        .all(name, ...params)
+        .map(row => JSON.parse(row.data));
+    },
+
+    insert: (name, id, record) => {
+      try {
+        statements.insert.run(name, String(id), JSON.stringify(record));
+      } catch (error) {
+        if (error.code !== 'SQLITE_CONSTRAINT_PRIMARYKEY') throw error;
+        throw new Error(`Record '${id}' already exists in '${name}'`);
+      }
+    },
+
+    put: (name, id, record) => {
+      statements.put.run(name, String(id), JSON.stringify(record));
+    },
+
+    remove: (name, id) => statements.remove.run(name, String(id)).changes > 0,
+
+    replaceAll: (name, data) => replaceAll(name, data),
+
+    transaction: fn => db.transaction(fn)(),
+
+    close: () => db.close()
+  };
+};
+
+module.exports = { createSqliteAdapter };
@@ -0,0 +1,138 @@
+/**
+ * Soft deletion of reports.
+ *
+ * Deleting a report only marks it with `deletedAt`, `deletedBy` and `deletedReason`. Deleted
+ * reports are hidden from listings, feeds, statistics, exports and duplicate checks, but keep
+ * their history, comments and evidence so admins can restore them (see `routes/admin/trash`).
+ * `env.trashRetentionDays` after deletion they may be purged, which removes the record, its
+ * comments and its evidence files for good. The ID is retired (see `utils/db`), so a new report
+ * never takes over the history of a purged one.
+ *
+ * @module utils/trash
+ * @requires ./db
+ * @requires ./history
+ * @requires ./evidence
+ * @requires ./logger
+ * @requires ../config
+ */
+
+/**
+ * Checks whether a report is in the trash.
+ *
+ * @function
+ * @param {Object} report - The report record.
+ * @returns {boolean} True if the report was deleted.
+ */
+
+/**
+ * Returns a copy of a collection without deleted reports.
+ *
+ * @function
+ * @param {Object} reports - The collection (as returned by `getAll()`, see `utils/db`).
+ * @returns {Object} The reports that are not in the trash, under their original keys.
+ */
+
+/**
+ * Returns when a deleted report may be purged.
+ *
+ * @function
+ * @param {Object} report - A deleted report.
+ * @returns {string} ISO timestamp, `env.trashRetentionDays` after `deletedAt`.
+ */
+
+/**
+ * Lists the deleted reports of the given collections, most recently deleted first.
+ *
+ * @function
+ * @param {string[]} reportTypes - The report types to include (see `config/reportTypes`).
+ * @returns {Object[]} The reports with their `reportType` and `purgeAfter`.
+ */
+
+/**
+ * Permanently removes deleted reports whose retention period has passed, along with their
+ * comments and evidence. Each purge is recorded in the report history.
+ *
+ * @function
+ * @param {string[]} reportTypes - The report types to purge (see `config/reportTypes`).
+ * @param {string} changedBy - The user who started the purge.
+ * @returns {{ reportType: string, id: number }[]} The purged reports.
+ */
+
+const { getRepository, transaction } = require('./db');
+const { diffRecord, recordHistory } = require('./history');
+const { removeReportEvidence } = require('./evidence');
+const logger = require('./logger');
+const { env } = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isDeleted = report => !!report.deletedAt;
+
+const withoutDeleted = reports =>
+  Object.fromEntries(
+    Object.entries(reports).filter(([, report]) => !isDeleted(report))
+  );
+
+const getPurgeAfter = report =>
+  new Date(
+    new Date(report.deletedAt).getTime() + env.trashRetentionDays * DAY_MS
+  ).toISOString();
+
+const getTrash = reportTypes =>
+  reportTypes
+    .flatMap(reportType =>
+      getRepository(reportType)
+        .query(isDeleted)
+        .map(report => ({
+          reportType,
+          ...report,
+          purgeAfter: getPurgeAfter(report)
+        }))
+    )
+    .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+
+const purgeExpired = (reportTypes, changedBy) => {
+  const now = new Date().toISOString();
+  const comments = getRepository('comments');
+  const purged = [];
+
+  transaction(() =>
+    reportTypes.forEach(reportType => {
+      const reports = getRepository(reportType);
+      const expired = Object.entries(reports.getAll()).filter(
+        ([, report]) => isDeleted(report) && getPurgeAfter(report) <= now
+      );
+
+      expired.forEach(([dbKey, report]) => {
+        reports.delete(dbKey);
+        reports.retireId(report.id);
+        comments
+          .query({ reportType, reportId: report.id })
+          .forEach(comment => comments.delete(comment.id));
+        recordHistory(reportType, report.id, {
+          action: 'purged',
+          changedBy,
+          changes: diffRecord(report, {})
+        });
+        purged.push({ reportType, id: report.id });
+      });
+    })
+  );
+
+  // Deleted files cannot be rolled back, so evidence only goes once the records are gone
+  purged.forEach(({ reportType, id }) => removeReportEvidence(reportType, id));
+
+  logger.info('Purged expired reports from the trash', {
+    count: purged.length,
+    purgedBy: changedBy
+  });
+  return purged;
+};
+
+module.exports = {
+  isDeleted,
+  withoutDeleted,
+  getPurgeAfter,
+  getTrash,
+  purgeExpired
+};
@@ -0,0 +1,113 @@
+/**
+ * Checks request bodies against the declarative schemas in `config/schemas`.
+ *
+ * @module utils/validation
+ * @requires ../middleware/requirePermission
+ */
+
+/**
+ * Validates a request body against a schema.
+ *
+ * @function
+ * @param {Object<string, Object>} schema - The field rules (see `config/schemas`).
+ * @param {*} body - The request body.
+ * @param {Object} [user] - The authenticated user, for fields that require a permission.
+ * @returns {{ value: Object, errors: { field: string, message: string }[], forbidden: { field: string, message: string }[] }}
+ *   The cleaned body (blank array items dropped), type and length errors, and fields the user may not send.
+ */
+
+const { hasPermission } = require('../middleware/requirePermission');
+
+const isHttpUrl = value => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+const checkValue = (rule, value) => {
+  if (rule.type === 'array') {
+    if (!Array.isArray(value)) return 'Must be an array';
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      return `Must have at most ${rule.maxItems} items`;
+    }
+    return null;
+  }
+
+  if (typeof value !== rule.type) return `Must be a ${rule.type}`;
+
+  if (rule.type === 'string') {
+    if (rule.required && !value.trim()) return 'Must not be blank';
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      return `Must be at least ${rule.minLength} characters`;
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      return `Must be at most ${rule.maxLength} characters`;
+    }
+    if (rule.format === 'url' && !isHttpUrl(value)) {
+      return 'Must be an http(s) URL';
+    }
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `Must be one of: ${rule.enum.join(', ')}`;
+  }
+
+  return null;
+};
+
+const validate = (schema, body, user) => {
+  const errors = [];
+  const forbidden = [];
+
+  if (body === undefined) body = {};
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+    errors.push({ field: '(body)', message: 'Must be a JSON object' });
+    return { value: {}, errors, forbidden };
+  }
+
+  const value = { ...body };
+
+  Object.keys(value).forEach(field => {
+    // Own keys only, so 'constructor' or '__proto__' are not found on the prototype
+    const rule = Object.hasOwn(schema, field) ? schema[field] : null;
+    if (!rule) {
+      errors.push({ field, message: 'Unknown field' });
+    } else if (rule.permission && !hasPermission(user, rule.permission)) {
+      forbidden.push({
+        field,
+        message: 'You are not allowed to set this field'
+      });
+    }
+  });
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    if (value[field] === undefined) {
+      if (rule.required) errors.push({ field, message: 'Required' });
+      return;
+    }
+    if (value[field] === null && rule.nullable) return;
+
+    const message = checkValue(rule, value[field]);
+    if (message) {
+      errors.push({ field, message });
+      return;
+    }
+
+    if (rule.type === 'array' && rule.items) {
+      value[field].forEach((item, index) => {
+        if (item === '') return;
+        const itemMessage = checkValue(rule.items, item);
+        if (itemMessage) {
+          errors.push({ field: `${field}[${index}]`, message: itemMessage });
+        }
+      });
+      value[field] = value[field].filter(item => item !== '');
+    }
+  });
+
+  return { value, errors, forbidden };
+};
+
+module.exports = { validate };
@@ -1,7 +1,10 @@
 /**
- * Sends a Discord-formatted message to all registered webhooks for a given event type and data.
- * Updates the `lastUsed` timestamp for each webhook upon successful notification.
- * Logs errors if a webhook notification fails.
+ * Queues a message for all registered webhooks for a given event type and data.
+ * Discord webhooks receive an embed (see `createDiscordMessage`), generic webhooks receive the
+ * raw event (see `createGenericPayload`). Webhooks whose event filter does not match (see
+ * `matchesSubscription`) are skipped. The event is also pushed to clients of the event stream
+ * (see `utils/eventStream`). Each message is stored in the delivery outbox (see
+ * `utils/webhookQueue`) and sent right away; failed deliveries are retried in the background.
  *
  * @async
  * @function
@@ -11,13 +14,39 @@
  * @param {string} data.status - The status of the resource (e.g. "pending", "approved").
  * @param {string} data.reporter - The person who reported the resource.
  * @param {string} [data.updatedBy] - The person who last updated the resource (optional).
+ * @param {string} [data.statusReason] - The reason given for the last status change (optional).
  * @param {string} data.url - A link to the resource.
- * @returns {Promise<void>} A promise that resolves when all webhook notifications have been processed.
+ * @returns {Promise<void>} A promise that resolves when the first delivery attempt has been processed.
+ */
+
+/**
+ * Checks whether a webhook is subscribed to an event.
+ * A missing or null `events`/`statuses` filter matches everything, except events listed in
+ * `optInWebhookEvents`, which must be named in `events`.
+ *
+ * @function
+ * @param {Object} webhook - The webhook record.
+ * @param {string[]|null} [webhook.events] - Event types the webhook receives.
+ * @param {string[]|null} [webhook.statuses] - Report statuses the webhook receives.
+ * @param {string} eventType - The type of event.
+ * @param {Object} data - The event data.
+ * @returns {boolean} True if the webhook should receive the event.
+ */
+
+/**
+ * Creates the JSON body sent to generic webhooks: the raw event type, timestamp and data.
+ *
+ * @function
+ * @param {string} eventType - The type of event.
+ * @param {Object} data - The event data.
+ * @param {string} timestamp - ISO timestamp of the event.
+ * @returns {{ event: string, timestamp: string, data: Object }} The generic webhook payload.
  */
 
 /**
  * Creates a Discord webhook message object based on the event type and provided data.
- * Omits the "Updated by" field if the value is "Anonymous" or not provided.
+ * Report events use the `embedFields` of their report type (see `config/reportTypes`).
+ * Comment events show the comment, and import events a summary, instead of the report details.
  *
  * @function
  * @param {string} eventType - The type of event to format the message for.
@@ -25,83 +54,71 @@
  * @returns {Object} The formatted Discord webhook message payload.
  */
 
-const fetch = (...args) =>
-  import('node-fetch').then(({ default: fetch }) => fetch(...args));
-
-const { getDatabase, setDatabase } = require('./db');
-const logger = require('./logger');
-const { STATUS_COLORS } = require('../config');
+const { getRepository } = require('./db');
+const { enqueueDelivery, processDueDeliveries } = require('./webhookQueue');
+const { publishEvent } = require('./eventStream');
+const { findReportTypeByEvent } = require('./reportTypes');
+const { STATUS_COLORS, optInWebhookEvents } = require('../config');
 
 async function sendToAllWebhooks(eventType, data) {
-  const webhooks = getDatabase('webhooks');
-  const updatedTimestamps = {};
+  publishEvent(eventType, data);
+
+  const webhooks = getRepository('webhooks').getAll();
   const now = new Date().toISOString();
 
-  await Promise.all(
-    Object.values(webhooks).map(async webhook => {
-      try {
-        const message = createDiscordMessage(eventType, data, now);
-
-        const response = await fetch(webhook.url, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(message)
-        });
-
-        if (!response.ok) throw new Error(`HTTP ${response.status}`);
-
-        updatedTimestamps[webhook.id] = now;
-      } catch (error) {
-        logger.error('Webhook failed', {
-          webhookId: webhook.id,
-          error: error.message,
-          url: webhook.url
-        });
-      }
-    })
-  );
-
-  // Save timestamps after all attempts
-  for (const [id, timestamp] of Object.entries(updatedTimestamps)) {
-    if (webhooks[id]) {
-      webhooks[id].lastUsed = timestamp;
-    }
+  Object.values(webhooks).forEach(webhook => {
+    if (!matchesSubscription(webhook, eventType, data)) return;
+
+    const message =
+      webhook.type === 'generic'
+        ? createGenericPayload(eventType, data, now)
+        : createDiscordMessage(eventType, data, now);
+    enqueueDelivery(webhook.id, eventType, message);
+  });
+
+  await processDueDeliveries();
+}
+
+function matchesSubscription(webhook, eventType, data) {
+  if (!webhook.events && optInWebhookEvents.includes(eventType)) return false;
+  if (webhook.events && !webhook.events.includes(eventType)) return false;
+  if (webhook.statuses && !webhook.statuses.includes(data.status)) {
+    return false;
   }
+  return true;
+}
 
-  setDatabase('webhooks', webhooks);
+function createGenericPayload(eventType, data, timestamp) {
+  return { event: eventType, timestamp, data };
 }
 
 function createDiscordMessage(eventType, data, timestamp) {
-  const isProfile = eventType.startsWith('profile_');
   const fields = [];
 
-  if (isProfile) {
+  if (eventType === 'comment_added') {
     fields.push(
-      { name: 'Profile', value: data.title },
-      {
-        name: 'Status',
-        value: data.status.toUpperCase().replace(/_/g, ' '),
-        inline: true
-      },
-      { name: 'Reporter', value: data.reporter, inline: true },
-      { name: 'URL', value: `[View Profile](${data.url})` }
+      { name: 'Report', value: data.title },
+      { name: 'Author', value: data.author, inline: true },
+      { name: 'Visibility', value: data.visibility, inline: true },
+      { name: 'Comment', value: data.body.slice(0, 1024) },
+      { name: 'URL', value: data.url }
     );
-  } else {
+  } else if (eventType === 'reports_imported') {
     fields.push(
-      { name: 'Title', value: data.title },
-      {
-        name: 'Status',
-        value: data.status.toUpperCase().replace(/_/g, ' '),
-        inline: true
-      },
-      { name: 'Reporter', value: data.reporter, inline: true }
+      { name: 'Collection', value: data.reportType },
+      { name: 'Created', value: String(data.created), inline: true },
+      { name: 'Skipped', value: String(data.skipped), inline: true },
+      { name: 'Invalid', value: String(data.invalid), inline: true },
+      { name: 'Imported by', value: data.importedBy }
     );
+  } else {
+    const reportType = findReportTypeByEvent(eventType);
+    if (reportType) fields.push(...reportType.embedFields(data));
+  }
 
-    if (data.updatedBy && data.updatedBy !== 'Anonymous') {
-      fields.push({ name: 'Updated by', value: data.updatedBy, inline: true });
-    }
-
-    fields.push({ name: 'URL', value: `[View on ScribbleHub](${data.url})` });
+  // Set when a status change required a reason (see `statusWorkflows` in config)
+  if (data.statusReason && eventType.endsWith('_updated')) {
+    fields.push({ name: 'Status reason', value: data.statusReason });
   }
 
   return {
@@ -0,0 +1,320 @@
+/**
+ * Durable outbox for webhook deliveries.
+ *
+ * Every webhook notification is stored in the `webhookDeliveries` collection before it is sent.
+ * Receivers must answer within `env.webhookTimeoutMs`, otherwise the attempt counts as failed.
+ * Failed deliveries are retried with exponential backoff (honoring Discord's `retry_after` on 429),
+ * and move to the `dead` state once `env.webhookMaxAttempts` is reached. Dead deliveries stay in the
+ * outbox until an admin replays them.
+ *
+ * Generic webhooks are signed with their secret. Each request carries:
+ * - X-MSGA-Timestamp : Unix time (seconds) at which the request was sent.
+ * - X-MSGA-Signature : `sha256=` + hex HMAC-SHA256 of `<timestamp>.<raw body>`.
+ * Receivers should recompute the signature and reject stale timestamps.
+ *
+ * Delivery statuses:
+ * - pending   : Waiting for its first or next attempt (`nextAttemptAt`).
+ * - delivered : Accepted by the receiver.
+ * - dead      : Gave up after too many attempts, or the webhook no longer exists.
+ *
+ * @module utils/webhookQueue
+ * @requires crypto
+ * @requires node-fetch
+ * @requires ./db
+ * @requires ./logger
+ * @requires ../config
+ */
+
+/**
+ * Stores a new pending delivery in the outbox.
+ *
+ * @function
+ * @param {number|string} webhookId - The ID of the target webhook.
+ * @param {string} eventType - The event that triggered the delivery.
+ * @param {Object} payload - The JSON body to POST to the webhook.
+ * @returns {Object} The stored delivery.
+ */
+
+/**
+ * Attempts every pending delivery whose `nextAttemptAt` has passed.
+ * Concurrent calls are coalesced: if a run is already in progress, another pass is made after it finishes.
+ *
+ * @async
+ * @function
+ * @returns {Promise<void>} Resolves when the due deliveries have been processed.
+ */
+
+/**
+ * Lists deliveries, newest first.
+ *
+ * @function
+ * @param {string} [status] - Only return deliveries with this status.
+ * @returns {Object[]} Matching deliveries.
+ */
+
+/**
+ * Resets a delivery to `pending` so it is attempted again immediately.
+ *
+ * @function
+ * @param {number|string} id - The delivery ID.
+ * @returns {Object|null} The updated delivery, or null if it does not exist.
+ */
+
+/**
+ * Starts the background worker that retries due deliveries and prunes old delivered ones.
+ * Calling it more than once has no effect.
+ *
+ * @function
+ * @returns {void}
+ */
+
+const crypto = require('crypto');
+const fetch = (...args) =>
+  import('node-fetch').then(({ default: fetch }) => fetch(...args));
+
+const { getRepository, transaction } = require('./db');
+const logger = require('./logger');
+const { env } = require('../config');
+
+const deliveries = getRepository('webhookDeliveries');
+const webhooks = getRepository('webhooks');
+
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000; // 6 hours
+
+let processing = false;
+let rerunRequested = false;
+let workerTimer = null;
+
+const enqueueDelivery = (webhookId, eventType, payload) =>
+  transaction(() => {
+    const newId = deliveries.nextId();
+    const now = new Date().toISOString();
+
+    return deliveries.insert(newId, {
+      id: newId,
+      webhookId: Number(webhookId),
+      eventType,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: now,
+      lastError: null,
+      lastStatusCode: null,
+      created: now,
+      deliveredAt: null
+    });
+  });
+
+// Discord answers 429 with `{ retry_after: <seconds> }`; others may only send the header
+const getRetryAfterMs = async response => {
+  try {
+    const body = await response.json();
+    if (typeof body?.retry_after === 'number') {
+      return Math.ceil(body.retry_after * 1000);
+    }
+  } catch {
+    // Body is not JSON, fall back to the header
+  }
+
+  const header = Number(response.headers.get('retry-after'));
+  return Number.isFinite(header) && header > 0 ? header * 1000 : null;
+};
+
+const buildHeaders = (webhook, body) => {
+  const headers = { 'Content-Type': 'application/json' };
+  if (webhook.type !== 'generic' || !webhook.secret) return headers;
+
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const signature = crypto
+    .createHmac('sha256', webhook.secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+
+  headers['X-MSGA-Timestamp'] = timestamp;
+  headers['X-MSGA-Signature'] = `sha256=${signature}`;
+  return headers;
+};
+
+const getBackoffMs = attempts =>
+  Math.min(env.webhookRetryBaseMs * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+
+const attemptDelivery = async (delivery, webhook) => {
+  const attempts = delivery.attempts + 1;
+  const now = Date.now();
+
+  if (!webhook) {
+    return {
+      attempts,
+      status: 'dead',
+      lastError: 'Webhook no longer exists',
+      lastStatusCode: null
+    };
+  }
+
+  let statusCode = null;
+  let retryAfterMs = null;
+  let errorMessage;
+
+  try {
+    const body = JSON.stringify(delivery.payload);
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: buildHeaders(webhook, body),
+      body,
+      // A receiver that never answers would otherwise block every later run
+      signal: AbortSignal.timeout(env.webhookTimeoutMs)
+    });
+    statusCode = response.status;
+
+    if (response.ok) {
+      return {
+        attempts,
+        status: 'delivered',
+        lastError: null,
+        lastStatusCode: statusCode,
+        deliveredAt: new Date(now).toISOString()
+      };
+    }
+
+    if (statusCode === 429) retryAfterMs = await getRetryAfterMs(response);
+    errorMessage = `HTTP ${statusCode}`;
+  } catch (error) {
+    errorMessage =
+      error.name === 'TimeoutError' || error.name === 'AbortError'
+        ? `Timed out after ${env.webhookTimeoutMs} ms`
+        : error.message;
+  }
+
+  const isDead = attempts >= env.webhookMaxAttempts;
+  return {
+    attempts,
+    status: isDead ? 'dead' : 'pending',
+    lastError: errorMessage,
+    lastStatusCode: statusCode,
+    nextAttemptAt: isDead
+      ? null
+      : new Date(now + (retryAfterMs ?? getBackoffMs(attempts))).toISOString()
+  };
+};
+
+const runDueDeliveries = async () => {
+  const now = new Date().toISOString();
+
+  const due = deliveries
+    .query({ status: 'pending' })
+    .filter(delivery => delivery.nextAttemptAt <= now);
+  if (due.length === 0) return;
+
+  const results = {};
+  await Promise.all(
+    due.map(async delivery => {
+      const webhook = webhooks.get(delivery.webhookId);
+      const result = await attemptDelivery(delivery, webhook);
+      results[delivery.id] = result;
+
+      if (result.status === 'delivered') return;
+      logger.error('Webhook failed', {
+        webhookId: delivery.webhookId,
+        deliveryId: delivery.id,
+        attempt: result.attempts,
+        error: result.lastError,
+        url: webhook?.url,
+        nextAttemptAt: result.nextAttemptAt
+      });
+      if (result.status === 'dead') {
+        logger.warn('Webhook delivery moved to dead-letter', {
+          webhookId: delivery.webhookId,
+          deliveryId: delivery.id
+        });
+      }
+    })
+  );
+
+  // Only the attempted records are written, so changes made while we were waiting are kept
+  const timestamp = new Date().toISOString();
+
+  transaction(() => {
+    for (const [id, result] of Object.entries(results)) {
+      const delivery = deliveries.update(id, {
+        ...result,
+        lastAttemptAt: timestamp
+      });
+      if (delivery && result.status === 'delivered') {
+        webhooks.update(delivery.webhookId, { lastUsed: result.deliveredAt });
+      }
+    }
+  });
+};
+
+const processDueDeliveries = async () => {
+  if (processing) {
+    rerunRequested = true;
+    return;
+  }
+
+  processing = true;
+  try {
+    do {
+      rerunRequested = false;
+      await runDueDeliveries();
+    } while (rerunRequested);
+  } catch (error) {
+    logger.error('Webhook delivery run failed', { error: error.message });
+  } finally {
+    processing = false;
+  }
+};
+
+const pruneDelivered = () => {
+  const cutoff = new Date(
+    Date.now() - env.webhookDeliveryRetentionDays * 24 * 60 * 60 * 1000
+  ).toISOString();
+
+  const expired = deliveries
+    .query({ status: 'delivered' })
+    .filter(delivery => delivery.deliveredAt < cutoff);
+
+  if (expired.length > 0) {
+    transaction(() =>
+      expired.forEach(delivery => deliveries.delete(delivery.id))
+    );
+    logger.info('Pruned delivered webhook deliveries', {
+      count: expired.length
+    });
+  }
+};
+
+const listDeliveries = status =>
+  (status
+    ? deliveries.query({ status })
+    : Object.values(deliveries.getAll())
+  ).sort((a, b) => b.id - a.id);
+
+const replayDelivery = id =>
+  deliveries.update(id, {
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: new Date().toISOString(),
+    deliveredAt: null
+  });
+
+const startDeliveryWorker = () => {
+  if (workerTimer) return;
+
+  workerTimer = setInterval(() => {
+    pruneDelivered();
+    processDueDeliveries();
+  }, env.webhookWorkerIntervalMs);
+  workerTimer.unref();
+
+  // Pick up anything left pending by a previous run
+  processDueDeliveries();
+};
+
+module.exports = {
+  enqueueDelivery,
+  processDueDeliveries,
+  listDeliveries,
+  replayDelivery,
+  startDeliveryWorker
+};